@@ -1,14 +1,297 @@
 // Game Tracker Application
+
+// Stored progress is wrapped in a versioned envelope: { version, progress, quarantine }
+const STORAGE_KEY = 'gameTrackerProgress';
+const STORAGE_BACKUP_KEY = 'gameTrackerProgressBackup';
+// Unsaved journal drafts, per game: { [gameId]: { text, entryId, updatedAt } }
+const STORAGE_DRAFTS_KEY = 'gameTrackerDrafts';
+const STORAGE_VERSION = 5;
+
+// People sharing this browser: { activeProfileId, profiles: [{ id, name, createdAt }] }.
+// The default profile uses the keys above; every other profile adds ":<profile id>" to each of them.
+const STORAGE_PROFILES_KEY = 'gameTrackerProfiles';
+const DEFAULT_PROFILE_ID = 'default';
+const PROFILE_NAME_MAX_LENGTH = 40;
+
+// v2 tracked a single played flag; a true/false flag becomes "completed" or "none", unless the
+// entry already has a status. Anything else is returned unchanged, for validation to quarantine.
+function upgradePlayedFlag(entry) {
+    if (!entry || typeof entry !== 'object' || typeof entry.played !== 'boolean') return entry;
+    const { played, ...rest } = entry;
+    return { ...rest, status: rest.status || (played ? 'completed' : 'none') };
+}
+
+// v4 kept one notes string per game; it becomes the first journal entry, ahead of any entries the
+// game already has. Anything else is returned unchanged, for validation to quarantine.
+function upgradeNotes(id, entry) {
+    if (!entry || typeof entry !== 'object' || typeof entry.notes !== 'string') return entry;
+    if (entry.journal !== undefined && !Array.isArray(entry.journal)) return entry;
+
+    const { notes, ...rest } = entry;
+    const journal = rest.journal || [];
+    const entryId = `entry-${id}-notes`;
+    const date = entry.notesUpdatedAt || entry.updatedAt || new Date().toISOString();
+    const first = notes.trim() && !journal.some(item => item && item.id === entryId)
+        ? [{ id: entryId, text: notes, createdAt: date, updatedAt: date }]
+        : [];
+    return { ...rest, journal: [...first, ...journal] };
+}
+
+// Each migration upgrades stored data from the version it is keyed by to the next one
+const STORAGE_MIGRATIONS = {
+    // v1 was a bare { gameId: progress } map with no envelope
+    1: (data) => ({ version: 2, progress: data, quarantine: {} }),
+
+    // v2 tracked a single played flag; played games become "completed"
+    2: (data) => {
+        const progress = {};
+        Object.entries(data.progress).forEach(([id, entry]) => {
+            progress[id] = upgradePlayedFlag(entry);
+        });
+        return { ...data, version: 3, progress };
+    },
+
+    // v3 only allowed whole stars; v4 adds half stars and aspect scores.
+    // Whole-star ratings are already valid v4 ratings, so they carry over unchanged.
+    3: (data) => ({ ...data, version: 4 }),
+
+    // v4 kept one notes string per game; v5 keeps a journal of dated entries,
+    // and existing notes become the first entry
+    4: (data) => {
+        const progress = {};
+        Object.entries(data.progress).forEach(([id, entry]) => {
+            progress[id] = upgradeNotes(id, entry);
+        });
+        return { ...data, version: 5, progress };
+    }
+};
+
+// Rating scales. Ratings are always stored as 0-5 in half-star steps, so switching
+// scales never changes a saved rating; the 10-point scale shows them doubled.
+const RATING_SCALES = {
+    stars: { label: '5 stars', step: 1 },
+    half: { label: 'Half stars', step: 0.5 },
+    ten: { label: '10 points', step: 0.5 }
+};
+
+// Optional sub-scores; once any are set, the overall rating is their average
+const RATING_ASPECTS = {
+    story: 'Story',
+    gameplay: 'Gameplay',
+    visuals: 'Visuals',
+    sound: 'Sound'
+};
+
+// Journal entries per game, each with its own lightweight formatting
+const JOURNAL_ENTRY_MAX_LENGTH = 2000;
+// Drafts are saved this long after the last keystroke
+const JOURNAL_DRAFT_DELAY = 800;
+
+// Play status lifecycle
+const PLAY_STATUSES = {
+    none: 'Not Played',
+    wishlist: 'Wishlist',
+    backlog: 'Backlog',
+    playing: 'Playing',
+    completed: 'Completed',
+    dropped: 'Dropped'
+};
+
+// Statuses that mean the game has actually been played
+const PLAYED_STATUSES = ['playing', 'completed', 'dropped'];
+
+// Allowed moves from each status, with the label shown on the modal button
+const STATUS_TRANSITIONS = {
+    none: [
+        { to: 'wishlist', label: 'Add to Wishlist' },
+        { to: 'backlog', label: 'Add to Backlog' },
+        { to: 'playing', label: 'Start Playing' },
+        { to: 'completed', label: 'Mark Completed' }
+    ],
+    wishlist: [
+        { to: 'backlog', label: 'Move to Backlog' },
+        { to: 'playing', label: 'Start Playing' },
+        { to: 'completed', label: 'Mark Completed' }
+    ],
+    backlog: [
+        { to: 'wishlist', label: 'Move to Wishlist' },
+        { to: 'playing', label: 'Start Playing' },
+        { to: 'completed', label: 'Mark Completed' }
+    ],
+    playing: [
+        { to: 'completed', label: 'Mark Completed' },
+        { to: 'dropped', label: 'Drop' },
+        { to: 'backlog', label: 'Put Back in Backlog' }
+    ],
+    completed: [
+        { to: 'playing', label: 'Play Again' }
+    ],
+    dropped: [
+        { to: 'playing', label: 'Resume Playing' },
+        { to: 'backlog', label: 'Move to Backlog' }
+    ]
+};
+
+// Optional game fields besides id, title, year, genre and themes: platforms (a list), the text
+// fields below, estimatedHours to finish, and a cover image path inside the app, e.g. "covers/celeste.jpg"
+const GAME_TEXT_FIELDS = { developer: 'Developer', publisher: 'Publisher', series: 'Series' };
+const GAME_PLATFORMS_MAX = 12;
+const GAME_HOURS_MAX = 1000;
+// A relative image path: no scheme, leading slash or "..", so covers can only come from the app's own files
+const COVER_PATH_PATTERN = /^(?![/\\])(?!.*\.\.)[\w\-./ ]+\.(png|jpe?g|gif|webp|avif)$/i;
+
+// The user's own copy of a game, each field optional: the platform they play it on, whether they own it
+// and how, hours played, and progress as a completion percentage and/or achievements earned of a total
+const COPY_FIELDS = ['platform', 'ownership', 'hoursPlayed', 'completion', 'achievements'];
+const OWNERSHIP_TYPES = { physical: 'Physical', digital: 'Digital' };
+const HOURS_PLAYED_MAX = 100000;
+const ACHIEVEMENTS_MAX = 10000;
+// Genres listed under "Hours by genre" in the stats section
+const PLAYTIME_GENRE_ROWS = 8;
+
+// Fields understood by the search query syntax, e.g. genre:"Action RPG" year:>2005
+const SEARCH_FIELDS = [
+    'title', 'genre', 'theme', 'year', 'decade', 'rating', 'status', 'notes', 'list',
+    'platform', 'developer', 'publisher', 'series', 'hours', 'owned', 'playtime', 'completion', 'completed'
+];
+const SEARCH_FIELD_ALIASES = {
+    themes: 'theme', tag: 'theme', note: 'notes', stars: 'rating',
+    platforms: 'platform', dev: 'developer', studio: 'developer', length: 'hours',
+    own: 'owned', progress: 'completion'
+};
+const NUMERIC_SEARCH_FIELDS = ['year', 'rating', 'hours', 'playtime', 'completion'];
+
+// Multi-select facets: values within a facet are OR'ed, facets are AND'ed together
+const FACETS = {
+    genres: 'Genre',
+    themes: 'Theme',
+    decades: 'Decade',
+    platforms: 'Platform',
+    statuses: 'Status',
+    ownership: 'Owned'
+};
+
+// Facets with many options show only the most common ones until expanded
+const FACET_COLLAPSED_SIZE = 12;
+
+// Views besides "All Games" and the user's lists, in tab order
+const SPECIAL_VIEWS = {
+    insights: 'Insights',
+    journal: 'Journal',
+    compare: 'Compare'
+};
+
+// URL hash parameter used for each facet, repeated once per selected value
+const URL_FACET_PARAMS = {
+    genres: 'genre',
+    themes: 'theme',
+    decades: 'decade',
+    platforms: 'platform',
+    statuses: 'status',
+    ownership: 'owned'
+};
+
+// Recommendations shown per page, and how much each repeat of a genre costs in the ranking
+const RECOMMENDATION_PAGE_SIZE = 6;
+const RECOMMENDATION_DIVERSITY_PENALTY = 0.6;
+
+// Similar games: points for a shared genre, overlapping themes, the same series or developer, and a close release year
+const SIMILARITY_WEIGHTS = { genre: 3, themes: 4, series: 2, developer: 1, year: 1 };
+const SIMILAR_YEAR_RANGE = 10;
+const SIMILAR_GAMES_LIMIT = 6;
+
+// Insights charts: rows shown per breakdown and months shown in the timeline
+const INSIGHT_CHART_ROWS = 12;
+const INSIGHT_TIMELINE_MONTHS = 24;
+
+// Profile comparison: a rating at or above this counts as "loved", and a gap this big as a disagreement
+const COMPARE_LOVED_RATING = 4;
+const COMPARE_DISAGREEMENT = 2;
+// Fewer shared ratings than this is too little to put a number on
+const COMPARE_MIN_SHARED = 3;
+
+// Keyboard: what Tab can land on inside a dialog, and how many command palette results to show
+const FOCUSABLE_SELECTOR = 'a[href], button, input, select, textarea, summary, [tabindex]:not([tabindex="-1"])';
+const COMMAND_PALETTE_LIMIT = 50;
+
+// Games grid: search waits for a pause in typing, and grids with more games than the threshold render
+// only the rows near the viewport, plus a few overscan rows above and below, instead of every card
+const SEARCH_DEBOUNCE_DELAY = 150;
+const GRID_WINDOW_THRESHOLD = 300;
+const GRID_OVERSCAN_ROWS = 4;
+// Height of a row of cards plus the gap below it, used until real rows have been measured
+const GRID_ROW_ESTIMATE = 360;
+
+// Undo history: steps kept, and how long the toast offering "Undo" stays up
+const UNDO_HISTORY_LIMIT = 50;
+const TOAST_DURATION = 6000;
+
+const DEFAULT_SETTINGS = {
+    ratingScale: 'stars',
+    recommendations: {
+        includeWishlist: false,
+        includeBacklog: true,
+        includeDropped: false,
+        avoidDroppedTastes: true
+    }
+};
+
 class GameTracker {
     constructor() {
         this.games = [];
+        this.catalogGames = [];
+        // Kept apart from storageWarnings, which are reset whenever a profile's progress is loaded
+        this.catalogWarnings = [];
+        this.loadProfiles();
         this.userProgress = this.loadProgress();
+        // What this tab last read from or wrote to storage, to tell other tabs' changes from its own
+        this.syncedSnapshot = this.getSyncSnapshot(this.getLocalData());
         this.currentGameId = null;
+        this.pendingImport = null;
+        this.editingCustomGameId = null;
+        this.activeListId = null;
+        this.activeSpecialView = null;
+        this.editingJournalEntryId = null;
+        this.journalQuery = '';
+        this.draggedListGameId = null;
+        this.expandedFacets = new Set();
+        this.urlHash = '';
+        this.applyingUrlState = false;
+        this.lastUrlChange = null;
+        this.recommendationOffset = 0;
+        this.recommendationCount = RECOMMENDATION_PAGE_SIZE;
+        this.modalFocus = null;
+        this.paletteFocus = null;
+        this.commandResults = [];
+        this.activeCommandIndex = 0;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.pendingUndoStep = null;
+        this.toastTimer = null;
+        this.toastAction = null;
+        this.draftTimer = null;
+        this.compareProfileId = null;
+        this.draftConflict = null;
+        this.catalogError = '';
+        // The filtered, sorted games behind the grid, and the rendered card for each game id in it
+        this.gridGames = [];
+        this.gridCards = new Map();
+        this.gridSpacers = null;
+        this.gridRange = null;
+        this.gridRowHeight = GRID_ROW_ESTIMATE;
+        this.gridFrame = null;
+        this.searchTimer = null;
+        this.waitingWorker = null;
+        this.updateRequested = false;
         this.filters = {
             search: '',
-            genre: '',
-            decade: '',
-            status: '',
+            genres: [],
+            themes: [],
+            decades: [],
+            platforms: [],
+            statuses: [],
+            ownership: [],
+            list: '',
             sortBy: 'title'
         };
         this.init();
@@ -16,660 +299,5715 @@ class GameTracker {
 
     async init() {
         await this.loadGames();
-        this.populateGenreFilter();
-        this.renderGames();
+        this.renderProfileSwitcher();
+        this.showStorageWarnings();
+        this.populateGenreSuggestions();
+        this.populateListFilter();
+        this.applyUrlState();
         this.updateStats();
         this.updateRecommendations();
         this.attachEventListeners();
+        this.registerServiceWorker();
     }
 
     // Load games from JSON file
     async loadGames() {
         try {
             const response = await fetch('games.json');
-            this.games = await response.json();
+            if (!response.ok) throw new Error(`games.json returned ${response.status}`);
+            this.catalogGames = this.validateCatalog(await response.json());
         } catch (error) {
             console.error('Error loading games:', error);
-            this.showError('Failed to load games. Please refresh the page.');
+            this.catalogGames = this.validateCatalog(await this.loadCachedCatalog());
+            if (this.catalogGames.length > 0) {
+                this.showToast('Could not reach the game catalog, so the copy saved for offline use is shown');
+            } else {
+                // Shown by renderGames in place of "No games found"
+                this.catalogError = 'Failed to load games. Check your connection and refresh the page.';
+            }
         }
+        this.refreshGames();
     }
 
-    // Local Storage Management
-    loadProgress() {
-        const saved = localStorage.getItem('gameTrackerProgress');
-        return saved ? JSON.parse(saved) : {};
-    }
+    // Keep only catalog entries that are safe to render; the rest are reported in the warning banner
+    validateCatalog(data) {
+        this.catalogWarnings = [];
+        if (!Array.isArray(data)) {
+            this.catalogWarnings.push('games.json is not a list of games, so no catalog games could be shown.');
+            return [];
+        }
 
-    saveProgress() {
-        localStorage.setItem('gameTrackerProgress', JSON.stringify(this.userProgress));
-        this.updateStats();
-        this.updateRecommendations();
+        const games = [];
+        const problems = [];
+        const ids = new Set();
+        data.forEach((game, index) => {
+            let problem = this.getGameProblem(game);
+            if (!problem && (!Number.isInteger(game.id) || game.id <= 0)) {
+                problem = 'id is not a positive whole number';
+            } else if (!problem && ids.has(game.id)) {
+                problem = `id ${game.id} is used by an earlier entry`;
+            }
+
+            if (problem) {
+                const title = game && typeof game.title === 'string' ? ` (${game.title})` : '';
+                problems.push(`entry ${index + 1}${title}: ${problem}`);
+            } else {
+                ids.add(game.id);
+                games.push(game);
+            }
+        });
+
+        if (problems.length > 0) {
+            console.warn('Skipped invalid games.json entries:', problems);
+            const count = problems.length;
+            this.catalogWarnings.push(`${count} ${count === 1 ? 'game' : 'games'} in games.json could not be shown: ` +
+                `${problems.slice(0, 3).join('; ')}${count > 3 ? `; and ${count - 3} more` : ''}.`);
+        }
+        return games;
     }
 
-    // Get user progress for a specific game
-    getGameProgress(gameId) {
-        return this.userProgress[gameId] || { played: false, rating: 0, notes: '' };
+    // The catalog the service worker cached on an earlier visit, or [] if there isn't one
+    async loadCachedCatalog() {
+        if (!('caches' in window)) return [];
+
+        try {
+            const response = await caches.match('games.json');
+            return response ? await response.json() : [];
+        } catch (error) {
+            console.error('Error reading cached games:', error);
+            return [];
+        }
     }
 
-    // Update game progress
-    updateGameProgress(gameId, progress) {
-        this.userProgress[gameId] = { ...this.getGameProgress(gameId), ...progress };
-        this.saveProgress();
+    // Combine the catalog with the user's custom games
+    refreshGames() {
+        this.games = [...this.catalogGames, ...this.customGames];
     }
 
-    // Statistics
-    updateStats() {
-        const stats = this.calculateStats();
-        document.getElementById('played-count').textContent = stats.playedCount;
-        document.getElementById('unplayed-count').textContent = stats.unplayedCount;
-        document.getElementById('avg-rating').textContent = stats.avgRating;
-        document.getElementById('completion-percentage').textContent = stats.completionPercentage;
+    // Profiles
+    loadProfiles() {
+        const fallback = { id: DEFAULT_PROFILE_ID, name: 'Me', createdAt: new Date().toISOString() };
+        let saved = null;
+        try {
+            saved = JSON.parse(localStorage.getItem(STORAGE_PROFILES_KEY));
+        } catch (error) {
+            console.error('Error reading profiles:', error);
+        }
+
+        const profiles = saved && Array.isArray(saved.profiles)
+            ? saved.profiles.filter(profile => profile && typeof profile.id === 'string' && typeof profile.name === 'string')
+            : [];
+        this.profiles = profiles.length > 0 ? profiles : [fallback];
+        this.activeProfileId = this.profiles.some(profile => profile.id === (saved && saved.activeProfileId))
+            ? saved.activeProfileId
+            : this.profiles[0].id;
     }
 
-    calculateStats() {
-        let playedCount = 0;
-        let totalRating = 0;
-        let ratedCount = 0;
+    saveProfiles() {
+        try {
+            localStorage.setItem(STORAGE_PROFILES_KEY, JSON.stringify({
+                activeProfileId: this.activeProfileId,
+                profiles: this.profiles
+            }));
+        } catch (error) {
+            console.error('Error saving profiles:', error);
+        }
+    }
 
-        Object.values(this.userProgress).forEach(progress => {
-            if (progress.played) {
-                playedCount++;
-                if (progress.rating > 0) {
-                    totalRating += progress.rating;
-                    ratedCount++;
-                }
-            }
-        });
+    getProfile(profileId) {
+        return this.profiles.find(profile => profile.id === profileId);
+    }
 
-        const unplayedCount = this.games.length - playedCount;
-        const avgRating = ratedCount > 0 ? (totalRating / ratedCount).toFixed(1) : '-';
-        const completionPercentage = ((playedCount / this.games.length) * 100).toFixed(0) + '%';
+    // Storage key for one profile's copy of the data, e.g. "gameTrackerProgress:profile-k3x9"
+    getProfileKey(baseKey, profileId = this.activeProfileId) {
+        return profileId === DEFAULT_PROFILE_ID ? baseKey : `${baseKey}:${profileId}`;
+    }
 
-        return { playedCount, unplayedCount, avgRating, completionPercentage };
+    renderProfileSwitcher() {
+        const select = document.getElementById('profile-select');
+        select.innerHTML = this.profiles.map(profile => html`
+            <option value="${profile.id}">${profile.name}</option>
+        `).join('');
+        select.value = this.activeProfileId;
+        document.getElementById('delete-profile').disabled = this.profiles.length === 1;
     }
 
-    // Recommendation System
-    generateRecommendations() {
-        // Get all rated games (only games with ratings)
-        const ratedGames = this.games.filter(game => {
-            const progress = this.getGameProgress(game.id);
-            return progress.played && progress.rating > 0;
-        });
+    // Returns the trimmed name, or null (after telling the user) if it can't be used
+    getValidProfileName(name, profileId = null) {
+        const trimmed = (name || '').trim();
+        if (!trimmed) return null;
 
-        // Need at least 2 rated games for recommendations
-        if (ratedGames.length < 2) {
-            return [];
+        if (trimmed.length > PROFILE_NAME_MAX_LENGTH) {
+            alert(`Profile names are limited to ${PROFILE_NAME_MAX_LENGTH} characters.`);
+            return null;
         }
+        if (this.profiles.some(profile => profile.id !== profileId && profile.name.toLowerCase() === trimmed.toLowerCase())) {
+            alert(`There is already a profile called "${trimmed}".`);
+            return null;
+        }
+        return trimmed;
+    }
 
-        // Build preference profile based on highly rated games (4-5 stars)
-        const highlyRatedGames = ratedGames.filter(game => {
-            const progress = this.getGameProgress(game.id);
-            return progress.rating >= 4;
-        });
-
-        // If no highly rated games, use games rated 3+ stars
-        const preferredGames = highlyRatedGames.length > 0
-            ? highlyRatedGames
-            : ratedGames.filter(game => this.getGameProgress(game.id).rating >= 3);
+    createProfile() {
+        const name = this.getValidProfileName(prompt('Name for the new profile:'));
+        if (!name) return;
 
-        if (preferredGames.length === 0) {
-            return [];
-        }
+        const profile = {
+            id: `profile-${Date.now().toString(36)}`,
+            name,
+            createdAt: new Date().toISOString()
+        };
+        this.profiles.push(profile);
+        this.switchProfile(profile.id);
+    }
 
-        // Calculate theme and genre weights
-        const themeWeights = {};
-        const genreWeights = {};
+    renameProfile() {
+        const profile = this.getProfile(this.activeProfileId);
+        const name = this.getValidProfileName(prompt('Rename this profile:', profile.name), profile.id);
+        if (!name) return;
 
-        preferredGames.forEach(game => {
-            const rating = this.getGameProgress(game.id).rating;
-            const weight = rating / 5; // Normalize to 0-1
+        profile.name = name;
+        this.saveProfiles();
+        this.renderProfileSwitcher();
+        if (this.activeSpecialView === 'compare') {
+            this.renderCompareView();
+        }
+    }
 
-            // Weight genres
-            genreWeights[game.genre] = (genreWeights[game.genre] || 0) + weight;
+    // Deletes the active profile and everything saved for it, then switches to another one
+    deleteProfile() {
+        if (this.profiles.length === 1) return;
 
-            // Weight themes
-            game.themes.forEach(theme => {
-                themeWeights[theme] = (themeWeights[theme] || 0) + weight;
-            });
-        });
+        const profile = this.getProfile(this.activeProfileId);
+        if (!confirm(`Delete the profile "${profile.name}" with all of its ratings, journal entries, lists and settings?`)) return;
 
-        // Get unplayed games
-        const unplayedGames = this.games.filter(game => {
-            const progress = this.getGameProgress(game.id);
-            return !progress.played;
+        if (this.currentGameId !== null) {
+            this.closeGameModal();
+        }
+        [STORAGE_KEY, STORAGE_BACKUP_KEY, STORAGE_DRAFTS_KEY].forEach(key => {
+            localStorage.removeItem(this.getProfileKey(key));
         });
+        this.profiles = this.profiles.filter(p => p.id !== profile.id);
+        this.activeProfileId = null;
+        this.switchProfile(this.profiles[0].id);
+    }
 
-        // Score each unplayed game
-        const scoredGames = unplayedGames.map(game => {
-            let score = 0;
+    switchProfile(profileId) {
+        if (profileId === this.activeProfileId || !this.getProfile(profileId)) return;
 
-            // Genre matching (higher weight)
-            if (genreWeights[game.genre]) {
-                score += genreWeights[game.genre] * 2;
-            }
+        // Close the open game first so its draft is kept for the profile it belongs to
+        if (this.currentGameId !== null) {
+            this.closeGameModal();
+        }
 
-            // Theme matching
-            game.themes.forEach(theme => {
-                if (themeWeights[theme]) {
-                    score += themeWeights[theme];
-                }
-            });
+        this.activeProfileId = profileId;
+        this.saveProfiles();
+        this.loadActiveProfile();
+        this.showToast(`Switched to ${this.getProfile(profileId).name}`);
+    }
 
-            // Bonus for games from similar time periods
-            const avgYear = preferredGames.reduce((sum, g) => sum + g.year, 0) / preferredGames.length;
-            const yearDiff = Math.abs(game.year - avgYear);
-            if (yearDiff <= 5) {
-                score += 1;
-            } else if (yearDiff <= 10) {
-                score += 0.5;
-            }
+    // Replace everything in memory with the active profile's saved data and redraw
+    loadActiveProfile() {
+        this.syncedSnapshot = null;
+        this.userProgress = this.loadProgress();
+        this.syncedSnapshot = this.getSyncSnapshot(this.getLocalData());
+        this.undoStack = [];
+        this.redoStack = [];
+        if (this.compareProfileId === this.activeProfileId) {
+            this.compareProfileId = null;
+        }
 
-            return { game, score };
+        this.refreshGames();
+        this.renderProfileSwitcher();
+        this.showStorageWarnings();
+        this.populateGenreSuggestions();
+        this.populateListFilter();
+        document.querySelectorAll('.recommendation-options input').forEach(checkbox => {
+            checkbox.checked = this.settings.recommendations[checkbox.dataset.option];
         });
 
-        // Sort by score and return top recommendations
-        scoredGames.sort((a, b) => b.score - a.score);
-
-        return scoredGames
-            .filter(item => item.score > 0)
-            .slice(0, 6)
-            .map(item => item.game);
+        this.updateStats();
+        this.updateRecommendations();
+        // A list page from the previous profile falls back to All Games
+        this.showView(this.getActiveViewId());
     }
 
-    updateRecommendations() {
-        const recommendations = this.generateRecommendations();
-        const section = document.getElementById('recommendations-section');
-        const grid = document.getElementById('recommendations-grid');
+    // Another profile's progress, read-only, for comparisons
+    readProfileProgress(profileId) {
+        const data = this.readStoredData(profileId);
+        return data ? data.progress : {};
+    }
 
-        if (recommendations.length === 0) {
-            section.style.display = 'none';
-            return;
-        }
+    // Catalog games both profiles rated, games the other profile loved that this one hasn't played,
+    // and agreement: 100% when every shared rating matches, 0% when they're as far apart as possible
+    getProfileComparison(otherProgress) {
+        const shared = [];
+        const theirFavorites = [];
 
-        section.style.display = 'block';
-        grid.innerHTML = recommendations.map(game => this.createRecommendationCard(game)).join('');
+        this.catalogGames.forEach(game => {
+            const theirs = otherProgress[game.id];
+            if (!theirs) return;
 
-        // Attach click listeners
-        grid.querySelectorAll('.recommendation-card').forEach(card => {
-            card.addEventListener('click', () => {
-                this.openGameModal(parseInt(card.dataset.gameId));
-            });
+            const mine = this.getGameProgress(game.id);
+            if (mine.rating > 0 && theirs.rating > 0) {
+                shared.push({ game, mine: mine.rating, theirs: theirs.rating });
+            }
+            if (theirs.rating >= COMPARE_LOVED_RATING && !this.isPlayed(mine)) {
+                theirFavorites.push({ game, theirs: theirs.rating });
+            }
         });
-    }
 
-    createRecommendationCard(game) {
-        const matchReasons = this.getMatchReasons(game);
+        const averageGap = shared.length > 0
+            ? shared.reduce((sum, pair) => sum + Math.abs(pair.mine - pair.theirs), 0) / shared.length
+            : null;
+        // Ratings run from 0.5 to 5, so the widest possible gap is 4.5
+        const agreement = shared.length < COMPARE_MIN_SHARED ? null : Math.round((1 - averageGap / 4.5) * 100);
 
-        return `
-            <div class="recommendation-card" data-game-id="${game.id}">
-                <div class="recommendation-badge">Recommended</div>
-                <h3 class="game-title">${game.title}</h3>
-                <div class="game-meta">
-                    <span class="game-year">${game.year}</span>
-                    <span class="game-genre">${game.genre}</span>
-                </div>
-                <div class="game-themes">
-                    ${game.themes.slice(0, 3).map(theme => `<span class="theme-tag">${theme}</span>`).join('')}
-                </div>
-                <div class="match-reasons">
-                    <p class="match-text">${matchReasons}</p>
+        shared.sort((a, b) => a.game.title.localeCompare(b.game.title));
+        theirFavorites.sort((a, b) => b.theirs - a.theirs || a.game.title.localeCompare(b.game.title));
+
+        return { shared, theirFavorites, agreement };
+    }
+
+    renderCompareView() {
+        const others = this.profiles.filter(profile => profile.id !== this.activeProfileId);
+        const select = document.getElementById('compare-profile');
+        const summary = document.getElementById('compare-summary');
+        const content = document.getElementById('compare-content');
+
+        if (others.length === 0) {
+            select.innerHTML = '';
+            select.disabled = true;
+            summary.textContent = '';
+            content.innerHTML = html`
+                <div class="empty-state">
+                    <h3>Nobody to compare with yet</h3>
+                    <p>Add another profile with "+ New" at the top of the page</p>
                 </div>
+            `;
+            return;
+        }
+
+        if (!others.some(profile => profile.id === this.compareProfileId)) {
+            this.compareProfileId = others[0].id;
+        }
+        select.disabled = false;
+        select.innerHTML = others.map(profile => html`
+            <option value="${profile.id}">${profile.name}</option>
+        `).join('');
+        select.value = this.compareProfileId;
+
+        const me = this.getProfile(this.activeProfileId).name;
+        const them = this.getProfile(this.compareProfileId).name;
+        const { shared, theirFavorites, agreement } = this.getProfileComparison(this.readProfileProgress(this.compareProfileId));
+
+        summary.textContent = `${me} and ${them} both rated ${shared.length} ${shared.length === 1 ? 'game' : 'games'}`;
+
+        content.innerHTML = html`
+            <div class="compare-card">
+                <h3>Taste agreement</h3>
+                ${agreement === null
+                    ? html`<p class="insight-empty">Rate at least ${COMPARE_MIN_SHARED} of the same games to see how your tastes line up.</p>`
+                    : html`
+                        <p class="compare-agreement">${agreement}%</p>
+                        <p class="match-text">Based on ${shared.length} shared ${shared.length === 1 ? 'rating' : 'ratings'}; 100% means you rate every game the same.</p>
+                    `}
+            </div>
+            <div class="compare-card">
+                <h3>Games ${them} loved that you haven't played</h3>
+                ${theirFavorites.length === 0
+                    ? html`<p class="insight-empty">Nothing yet. Games ${them} rates ${this.formatRating(COMPARE_LOVED_RATING)} or more will show up here.</p>`
+                    : html`<ul class="compare-games">${theirFavorites.map(({ game, theirs }) => html`
+                        <li>
+                            <button class="compare-game" data-game-id="${game.id}">${game.title}</button>
+                            <span class="game-rating">${this.createStarDisplay(theirs)}</span>
+                        </li>
+                    `)}</ul>`}
+            </div>
+            <div class="compare-card">
+                <h3>Side by side</h3>
+                ${shared.length === 0
+                    ? html`<p class="insight-empty">No games rated by both of you yet.</p>`
+                    : html`
+                        <table class="compare-table">
+                            <thead><tr><th>Game</th><th>${me}</th><th>${them}</th></tr></thead>
+                            <tbody>${shared.map(({ game, mine, theirs }) => html`
+                                <tr class="${Math.abs(mine - theirs) >= COMPARE_DISAGREEMENT ? 'disagree' : ''}">
+                                    <td><button class="compare-game" data-game-id="${game.id}">${game.title}</button></td>
+                                    <td class="game-rating">${this.createStarDisplay(mine)}</td>
+                                    <td class="game-rating">${this.createStarDisplay(theirs)}</td>
+                                </tr>
+                            `)}</tbody>
+                        </table>
+                    `}
             </div>
         `;
     }
 
-    getMatchReasons(game) {
-        // Get highly rated games to compare
-        const highlyRated = this.games.filter(g => {
-            const progress = this.getGameProgress(g.id);
-            return progress.played && progress.rating >= 4;
-        });
-
-        if (highlyRated.length === 0) return 'Based on your ratings';
+    // Local Storage Management
+    loadProgress() {
+        this.storageWarnings = [];
+        this.quarantine = {};
+        this.customGames = [];
+        this.lists = [];
+        this.settings = this.mergeSettings({});
+        this.dismissedRecommendations = [];
 
-        // Find matching themes and genres
-        const matchingThemes = new Set();
-        const matchingGenres = new Set();
+        const saved = localStorage.getItem(this.getProfileKey(STORAGE_KEY));
+        if (!saved) return {};
 
-        highlyRated.forEach(ratedGame => {
-            if (ratedGame.genre === game.genre) {
-                matchingGenres.add(ratedGame.title);
-            }
-            game.themes.forEach(theme => {
-                if (ratedGame.themes.includes(theme)) {
-                    matchingThemes.add(theme);
-                }
-            });
-        });
+        let data;
+        try {
+            data = JSON.parse(saved);
+        } catch (error) {
+            console.error('Error reading progress:', error);
+            return this.recoverFromUnreadableStorage(saved, 'Your saved progress could not be read.');
+        }
 
-        const reasons = [];
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            return this.recoverFromUnreadableStorage(saved, 'Your saved progress is not in a format this app understands.');
+        }
 
-        if (matchingGenres.size > 0) {
-            reasons.push(`Similar to ${game.genre} games you enjoyed`);
+        let version = this.getStorageVersion(data);
+        if (version > STORAGE_VERSION) {
+            return this.recoverFromUnreadableStorage(saved, 'Your saved progress was written by a newer version of Game Tracker.');
         }
 
-        if (matchingThemes.size > 0) {
-            const themesArray = Array.from(matchingThemes).slice(0, 2);
-            reasons.push(`Matches your interest in ${themesArray.join(' & ')}`);
+        // Upgrade older shapes one version at a time
+        const migrated = version < STORAGE_VERSION;
+        try {
+            while (version < STORAGE_VERSION) {
+                data = STORAGE_MIGRATIONS[version](data);
+                version = data.version;
+            }
+        } catch (error) {
+            console.error('Error migrating progress:', error);
+            return this.recoverFromUnreadableStorage(saved, 'Your saved progress could not be upgraded to the current format.');
         }
 
-        return reasons.length > 0 ? reasons[0] : 'Based on your ratings';
-    }
+        const { progress, quarantined } = this.validateStoredProgress(data.progress);
+        const { customGames, quarantinedGames } = this.validateStoredCustomGames(data.customGames);
+        const { lists, quarantinedLists } = this.validateStoredLists(data.lists);
+        Object.assign(quarantined, quarantinedGames, quarantinedLists);
+        this.customGames = customGames;
+        this.lists = lists;
+        this.settings = this.mergeSettings(data.settings);
+        this.dismissedRecommendations = Array.isArray(data.dismissedRecommendations)
+            ? data.dismissedRecommendations.filter(id => Number.isInteger(id))
+            : [];
+        this.quarantine = { ...(data.quarantine || {}), ...quarantined };
+
+        const quarantinedCount = Object.keys(quarantined).length;
+        if (quarantinedCount > 0) {
+            this.storageWarnings.push(`${quarantinedCount} saved ${quarantinedCount === 1 ? 'entry was' : 'entries were'} invalid and set aside.`);
+        } else if (Object.keys(this.quarantine).length > 0) {
+            this.storageWarnings.push('Some previously saved entries are still set aside as invalid.');
+        }
 
-    // Populate genre filter dropdown
-    populateGenreFilter() {
-        const genres = [...new Set(this.games.map(game => game.genre))].sort();
-        const genreFilter = document.getElementById('genre-filter');
+        if (migrated || quarantinedCount > 0) {
+            this.writeProgress(progress);
+        }
 
-        genres.forEach(genre => {
-            const option = document.createElement('option');
-            option.value = genre;
-            option.textContent = genre;
-            genreFilter.appendChild(option);
-        });
+        return progress;
     }
 
-    // Filter and Sort Games
-    getFilteredGames() {
-        let filtered = [...this.games];
-
-        // Search filter
-        if (this.filters.search) {
-            const searchLower = this.filters.search.toLowerCase();
-            filtered = filtered.filter(game =>
-                game.title.toLowerCase().includes(searchLower) ||
-                game.genre.toLowerCase().includes(searchLower) ||
-                game.themes.some(theme => theme.toLowerCase().includes(searchLower))
-            );
-        }
-
-        // Genre filter
-        if (this.filters.genre) {
-            filtered = filtered.filter(game => game.genre === this.filters.genre);
-        }
+    // Fill in defaults for any settings missing from storage
+    mergeSettings(saved) {
+        const settings = saved && typeof saved === 'object' ? saved : {};
+        return {
+            ...DEFAULT_SETTINGS,
+            ...settings,
+            ratingScale: RATING_SCALES[settings.ratingScale] ? settings.ratingScale : DEFAULT_SETTINGS.ratingScale,
+            recommendations: { ...DEFAULT_SETTINGS.recommendations, ...(settings.recommendations || {}) }
+        };
+    }
 
-        // Decade filter
-        if (this.filters.decade) {
-            const startYear = parseInt(this.filters.decade);
-            const endYear = startYear + 9;
-            filtered = filtered.filter(game => game.year >= startYear && game.year <= endYear);
+    getStorageVersion(data) {
+        if (Number.isInteger(data.version) && data.progress && typeof data.progress === 'object') {
+            return data.version;
         }
+        return 1;
+    }
 
-        // Status filter
-        if (this.filters.status) {
-            filtered = filtered.filter(game => {
-                const progress = this.getGameProgress(game.id);
-                if (this.filters.status === 'played') return progress.played;
-                if (this.filters.status === 'unplayed') return !progress.played;
-                return true;
-            });
+    // Keep a copy of storage we could not use, then start fresh instead of failing
+    recoverFromUnreadableStorage(raw, message) {
+        try {
+            localStorage.setItem(this.getProfileKey(STORAGE_BACKUP_KEY), JSON.stringify({
+                savedAt: new Date().toISOString(),
+                data: raw
+            }));
+            this.storageWarnings.push(`${message} A backup copy was kept so nothing is lost.`);
+        } catch (error) {
+            console.error('Error backing up progress:', error);
+            this.storageWarnings.push(`${message} A backup copy could not be kept.`);
         }
+        return {};
+    }
 
-        // Sorting
-        filtered.sort((a, b) => {
-            switch (this.filters.sortBy) {
-                case 'title':
-                    return a.title.localeCompare(b.title);
-                case 'year':
-                    return b.year - a.year;
-                case 'rating':
-                    const ratingA = this.getGameProgress(a.id).rating || 0;
-                    const ratingB = this.getGameProgress(b.id).rating || 0;
-                    return ratingB - ratingA;
-                case 'recent':
-                    // Games marked as played most recently appear first
-                    const progressA = this.getGameProgress(a.id);
-                    const progressB = this.getGameProgress(b.id);
-                    if (progressA.played && !progressB.played) return -1;
-                    if (!progressA.played && progressB.played) return 1;
-                    return 0;
-                default:
-                    return 0;
+    // Split stored progress into valid entries and quarantined ones
+    validateStoredProgress(progress) {
+        const valid = {};
+        const quarantined = {};
+        const now = new Date().toISOString();
+
+        Object.entries(progress || {}).forEach(([id, stored]) => {
+            // Legacy played flags and notes left over from older versions (e.g. written by an older tab)
+            // are upgraded the same way their migrations do it
+            const entry = upgradeNotes(id, upgradePlayedFlag(stored));
+            const reason = this.getStoredEntryProblem(id, entry);
+            if (reason) {
+                quarantined[id] = { entry: stored, reason, quarantinedAt: now };
+            } else {
+                valid[id] = entry;
             }
         });
 
-        return filtered;
+        return { progress: valid, quarantined };
     }
 
-    // Render Games
-    renderGames() {
-        const gamesGrid = document.getElementById('games-grid');
-        const filteredGames = this.getFilteredGames();
+    validateStoredCustomGames(games) {
+        const customGames = [];
+        const quarantinedGames = {};
+        const now = new Date().toISOString();
 
-        // Update game count
-        const gameCount = document.getElementById('game-count');
-        gameCount.textContent = `Showing ${filteredGames.length} of ${this.games.length} games`;
+        (Array.isArray(games) ? games : []).forEach((game, index) => {
+            const reason = this.getGameProblem(game) ||
+                (Number.isInteger(game.id) && game.id < 0 ? '' : 'custom game id is not a negative whole number');
 
-        if (filteredGames.length === 0) {
-            gamesGrid.innerHTML = `
-                <div class="empty-state">
-                    <h3>No games found</h3>
-                    <p>Try adjusting your filters</p>
-                </div>
-            `;
-            return;
-        }
+            if (reason) {
+                quarantinedGames[`custom-${index}`] = { entry: game, reason, quarantinedAt: now };
+            } else {
+                customGames.push({ ...game, custom: true });
+            }
+        });
 
-        gamesGrid.innerHTML = filteredGames.map(game => this.createGameCard(game)).join('');
+        return { customGames, quarantinedGames };
+    }
 
-        // Attach click listeners to game cards
-        document.querySelectorAll('.game-card').forEach(card => {
-            card.addEventListener('click', () => {
-                this.openGameModal(parseInt(card.dataset.gameId));
-            });
+    validateStoredLists(lists) {
+        const valid = [];
+        const quarantinedLists = {};
+        const now = new Date().toISOString();
+
+        (Array.isArray(lists) ? lists : []).forEach((list, index) => {
+            const reason = this.getListProblem(list);
+            if (reason) {
+                quarantinedLists[`list-${index}`] = { entry: list, reason, quarantinedAt: now };
+            } else {
+                valid.push(list);
+            }
         });
+
+        return { lists: valid, quarantinedLists };
     }
 
-    createGameCard(game) {
-        const progress = this.getGameProgress(game.id);
-        const statusClass = progress.played ? 'played' : 'unplayed';
-        const statusText = progress.played ? 'Played' : 'Not Played';
+    getListProblem(list) {
+        if (!list || typeof list !== 'object') return 'list is not an object';
+        if (typeof list.id !== 'string' || !list.id) return 'list id is missing';
+        if (typeof list.name !== 'string' || !list.name.trim()) return 'list name is missing';
+        if (!Array.isArray(list.gameIds) || !list.gameIds.every(id => Number.isInteger(id))) {
+            return 'list games are not a list of game ids';
+        }
+        return '';
+    }
 
-        const ratingStars = progress.rating > 0
-            ? this.createStarDisplay(progress.rating)
-            : '<span style="color: var(--text-secondary); font-size: 0.85rem;">No rating</span>';
+    getStoredEntryProblem(id, entry) {
+        if (!/^-?\d+$/.test(id)) return 'game id is not a number';
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return 'entry is not an object';
+        // A true/false played flag has already been turned into a status, so only unusable ones are left
+        if ('played' in entry) return 'played is not true or false';
+        if ('status' in entry && !(entry.status in PLAY_STATUSES)) return 'status is not a known play status';
+        if ('rating' in entry && !this.isValidRating(entry.rating)) {
+            return 'rating is not a number from 0 to 5 in half-star steps';
+        }
+        if ('aspects' in entry && !this.getValidAspects(entry.aspects)) return 'aspect scores are not valid';
+        if ('journal' in entry && !this.getValidJournal(entry.journal)) return 'journal entries are not valid';
+        // Likewise notes text has already become a journal entry
+        if ('notes' in entry) return 'notes is not text';
 
-        // Notes preview (truncated to 80 characters)
-        const notesPreview = progress.notes && progress.notes.trim()
-            ? `<div class="notes-preview">
-                   <div class="notes-preview-label">Your Notes</div>
-                   <div class="notes-preview-text">${this.truncateText(progress.notes, 80)}</div>
-               </div>`
-            : '';
+        const badDate = ['playedAt', 'statusUpdatedAt', 'ratedAt', 'notesUpdatedAt', 'updatedAt']
+            .find(field => field in entry && isNaN(Date.parse(entry[field])));
+        if (badDate) return `${badDate} is not a valid date`;
 
-        return `
-            <div class="game-card ${statusClass}" data-game-id="${game.id}">
-                <h3 class="game-title">${game.title}</h3>
-                <div class="game-meta">
-                    <span class="game-year">${game.year}</span>
-                    <span class="game-genre">${game.genre}</span>
+        if ('ratingHistory' in entry && !Array.isArray(entry.ratingHistory)) return 'rating history is not a list';
+        return this.getCopyProblem(entry);
+    }
+
+    writeProgress(progress) {
+        try {
+            localStorage.setItem(this.getProfileKey(STORAGE_KEY), JSON.stringify({
+                version: STORAGE_VERSION,
+                progress,
+                customGames: this.customGames,
+                lists: this.lists,
+                settings: this.settings,
+                dismissedRecommendations: this.dismissedRecommendations,
+                quarantine: this.quarantine
+            }));
+            return true;
+        } catch (error) {
+            console.error('Error saving progress:', error);
+            return false;
+        }
+    }
+
+    saveProgress() {
+        // Another tab may have saved since the last storage event; keep its changes to other games
+        this.syncFromStorage();
+        if (this.writeProgress(this.userProgress)) {
+            this.syncedSnapshot = this.getSyncSnapshot(this.getLocalData());
+        } else {
+            this.storageWarnings = ['Your latest changes could not be saved. Export a backup before closing this page.'];
+            this.showStorageWarnings();
+        }
+        this.updateStats();
+        this.updateRecommendations();
+        if (this.activeSpecialView) {
+            this.renderSpecialView();
+        }
+    }
+
+    // Cross-tab Sync
+    // A profile's saved data without any of loadProgress's repairs or warnings, or null if it can't be read
+    readStoredData(profileId) {
+        try {
+            const saved = localStorage.getItem(this.getProfileKey(STORAGE_KEY, profileId));
+            let data = saved === null ? { version: STORAGE_VERSION, progress: {} } : JSON.parse(saved);
+            if (!data || typeof data !== 'object' || Array.isArray(data)) return null;
+
+            let version = this.getStorageVersion(data);
+            if (version > STORAGE_VERSION) return null;
+            while (version < STORAGE_VERSION) {
+                data = STORAGE_MIGRATIONS[version](data);
+                version = data.version;
+            }
+
+            return {
+                progress: this.validateStoredProgress(data.progress).progress,
+                customGames: this.validateStoredCustomGames(data.customGames).customGames,
+                lists: this.validateStoredLists(data.lists).lists,
+                settings: this.mergeSettings(data.settings),
+                dismissedRecommendations: Array.isArray(data.dismissedRecommendations)
+                    ? data.dismissedRecommendations.filter(id => Number.isInteger(id))
+                    : []
+            };
+        } catch (error) {
+            console.error('Error reading profile:', error);
+            return null;
+        }
+    }
+
+    getLocalData() {
+        return {
+            progress: this.userProgress,
+            customGames: this.customGames,
+            lists: this.lists,
+            settings: this.settings,
+            dismissedRecommendations: this.dismissedRecommendations
+        };
+    }
+
+    // Saved data as one JSON string per game, custom game, list and preference, so two copies
+    // can be compared piece by piece
+    getSyncSnapshot(data) {
+        const byId = items => Object.fromEntries(items.map(item => [item.id, JSON.stringify(item)]));
+        return {
+            progress: Object.fromEntries(Object.entries(data.progress).map(([id, entry]) => [id, JSON.stringify(entry)])),
+            customGames: byId(data.customGames),
+            lists: byId(data.lists),
+            preferences: {
+                settings: JSON.stringify(data.settings),
+                dismissedRecommendations: JSON.stringify(data.dismissedRecommendations)
+            }
+        };
+    }
+
+    // Bring in whatever other tabs saved since this tab last read or wrote storage. Each game, custom game,
+    // list and preference merges on its own: one changed only in storage is taken from there, and one this
+    // tab changed too keeps this tab's version. Returns true if anything changed.
+    syncFromStorage() {
+        if (!this.syncedSnapshot) return false;
+
+        const stored = this.readStoredData(this.activeProfileId);
+        if (!stored) return false;
+
+        const storedSnapshot = this.getSyncSnapshot(stored);
+        const localSnapshot = this.getSyncSnapshot(this.getLocalData());
+        const changed = {};
+        Object.keys(storedSnapshot).forEach(section => {
+            const ids = new Set([...Object.keys(storedSnapshot[section]), ...Object.keys(this.syncedSnapshot[section])]);
+            changed[section] = [...ids].filter(id =>
+                storedSnapshot[section][id] !== this.syncedSnapshot[section][id] &&
+                localSnapshot[section][id] === this.syncedSnapshot[section][id]
+            );
+        });
+        this.syncedSnapshot = storedSnapshot;
+
+        if (Object.values(changed).every(ids => ids.length === 0)) return false;
+
+        changed.progress.forEach(id => {
+            if (stored.progress[id]) {
+                this.userProgress[id] = stored.progress[id];
+            } else {
+                delete this.userProgress[id];
+            }
+            // Undoing here would quietly revert the other tab's change
+            this.forgetUndoHistory(id);
+        });
+
+        if (changed.customGames.length > 0) {
+            this.customGames = this.mergeStoredItems(this.customGames, stored.customGames, changed.customGames);
+            this.refreshGames();
+            this.populateGenreSuggestions();
+        }
+
+        if (changed.lists.length > 0) {
+            this.lists = this.mergeStoredItems(this.lists, stored.lists, changed.lists);
+            this.populateListFilter();
+        }
+
+        if (changed.preferences.includes('settings')) {
+            this.settings = stored.settings;
+            document.querySelectorAll('.recommendation-options input').forEach(checkbox => {
+                checkbox.checked = this.settings.recommendations[checkbox.dataset.option];
+            });
+        }
+        if (changed.preferences.includes('dismissedRecommendations')) {
+            this.dismissedRecommendations = stored.dismissedRecommendations;
+        }
+
+        this.updateStats();
+        this.updateRecommendations();
+        // Redraws the tabs, grid and any open list or special view; a deleted list falls back to All Games
+        this.showView(this.getActiveViewId());
+
+        if (this.currentGameId !== null) {
+            if (!this.games.some(game => game.id === this.currentGameId)) {
+                this.closeGameModal();
+            } else {
+                this.refreshGameModal();
+            }
+        }
+        return true;
+    }
+
+    // This tab's items in their order, with the changed ones replaced or removed and new ones added at the end
+    mergeStoredItems(items, storedItems, changedIds) {
+        const isChanged = item => changedIds.includes(String(item.id));
+        const storedById = new Map(storedItems.map(item => [String(item.id), item]));
+        const merged = items
+            .map(item => (isChanged(item) ? storedById.get(String(item.id)) : item))
+            .filter(Boolean);
+        const added = storedItems.filter(item =>
+            isChanged(item) && !items.some(existing => String(existing.id) === String(item.id))
+        );
+        return [...merged, ...added];
+    }
+
+    // Profiles added, renamed or deleted in another tab; this tab stays on its own profile if it still exists
+    syncProfiles() {
+        const activeProfileId = this.activeProfileId;
+        this.loadProfiles();
+
+        if (this.getProfile(activeProfileId)) {
+            this.activeProfileId = activeProfileId;
+            this.renderProfileSwitcher();
+            if (this.activeSpecialView === 'compare') {
+                this.renderCompareView();
+            }
+            return;
+        }
+
+        // The profile was deleted, along with its drafts; don't write the open one back
+        this.resetJournalEditor();
+        if (this.currentGameId !== null) {
+            this.closeGameModal();
+        }
+        this.loadActiveProfile();
+        this.showToast(`This profile was deleted in another tab. Switched to ${this.getProfile(this.activeProfileId).name}`);
+    }
+
+    // The open game's draft was saved by another tab while this one also has unsaved text for it
+    checkDraftConflict(oldValue, newValue) {
+        if (this.currentGameId === null || !document.getElementById('game-modal').classList.contains('active')) return;
+
+        const parse = value => {
+            try {
+                return (JSON.parse(value) || {})[this.currentGameId] || null;
+            } catch (error) {
+                return null;
+            }
+        };
+        const previous = parse(oldValue);
+        const draft = parse(newValue);
+        if (!draft || typeof draft.text !== 'string' || JSON.stringify(draft) === JSON.stringify(previous)) return;
+        if (!this.isJournalDirty() || draft.text === document.getElementById('game-notes').value) return;
+
+        this.draftConflict = draft;
+        document.getElementById('draft-conflict').hidden = false;
+        // Saving now would overwrite the other tab's text before the user picks one
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+    }
+
+    resolveDraftConflict(keepMine) {
+        if (!this.draftConflict) return;
+
+        this.hideDraftConflict();
+        if (keepMine) {
+            this.saveJournalDraft();
+        } else {
+            this.loadJournalDraft();
+        }
+        document.getElementById('game-notes').focus();
+    }
+
+    hideDraftConflict() {
+        this.draftConflict = null;
+        document.getElementById('draft-conflict').hidden = true;
+    }
+
+    // Offline Support
+    // sw.js caches the app and catalog for offline use; a new version installs in the background
+    // and waits until the user chooses to reload into it
+    async registerServiceWorker() {
+        // Service workers need http(s); opening index.html straight from disk runs without one
+        if (!('serviceWorker' in navigator) || !/^https?:$/.test(window.location.protocol)) return;
+
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (this.updateRequested) {
+                window.location.reload();
+            }
+        });
+
+        try {
+            const registration = await navigator.serviceWorker.register('sw.js');
+
+            // Downloaded on an earlier visit and still waiting
+            if (registration.waiting && navigator.serviceWorker.controller) {
+                this.showUpdatePrompt(registration.waiting);
+            }
+
+            registration.addEventListener('updatefound', () => {
+                const worker = registration.installing;
+                worker.addEventListener('statechange', () => {
+                    // Without a controller this is the first install rather than an update
+                    if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                        this.showUpdatePrompt(worker);
+                    }
+                });
+            });
+        } catch (error) {
+            console.error('Error registering service worker:', error);
+        }
+    }
+
+    showUpdatePrompt(worker) {
+        this.waitingWorker = worker;
+        document.getElementById('update-banner').hidden = false;
+    }
+
+    // The new worker takes over, and controllerchange then reloads the page; drafts are saved on unload
+    applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        this.updateRequested = true;
+        this.waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+        document.getElementById('apply-update').disabled = true;
+    }
+
+    // Storage Warnings
+    showStorageWarnings() {
+        const banner = document.getElementById('storage-warning');
+        const warnings = [...this.catalogWarnings, ...this.storageWarnings];
+        if (warnings.length === 0) {
+            banner.hidden = true;
+            return;
+        }
+
+        document.getElementById('storage-warning-text').textContent = warnings.join(' ');
+        document.getElementById('download-backup').hidden = !localStorage.getItem(this.getProfileKey(STORAGE_BACKUP_KEY));
+        document.getElementById('download-quarantine').hidden = Object.keys(this.quarantine).length === 0;
+        document.getElementById('discard-quarantine').hidden = Object.keys(this.quarantine).length === 0;
+        banner.hidden = false;
+    }
+
+    downloadStorageBackup() {
+        const backup = localStorage.getItem(this.getProfileKey(STORAGE_BACKUP_KEY));
+        if (!backup) return;
+
+        // The backup holds the original raw string, which may not be valid JSON
+        let content = backup;
+        try {
+            content = JSON.parse(backup).data;
+        } catch (error) {
+            console.error('Error reading backup:', error);
+        }
+        this.downloadFile('game-tracker-backup.txt', content, 'text/plain');
+    }
+
+    downloadQuarantine() {
+        this.downloadFile('game-tracker-invalid-entries.json', JSON.stringify(this.quarantine, null, 2), 'application/json');
+    }
+
+    discardQuarantine() {
+        this.quarantine = {};
+        this.saveProgress();
+        this.dismissStorageWarning();
+    }
+
+    dismissStorageWarning() {
+        this.catalogWarnings = [];
+        this.storageWarnings = [];
+        document.getElementById('storage-warning').hidden = true;
+    }
+
+    // Get user progress for a specific game
+    getGameProgress(gameId) {
+        return this.userProgress[gameId] || { status: 'none', rating: 0, journal: [] };
+    }
+
+    isPlayed(progress) {
+        return PLAYED_STATUSES.includes(progress.status);
+    }
+
+    // Update game progress, stamping play, rating and journal activity; fields set to undefined are removed
+    // Every change is recorded for undo; `label` describes it in the undo toast
+    updateGameProgress(gameId, progress, label = `Changed ${this.getGameTitle(gameId)}`) {
+        const stored = this.userProgress[gameId];
+        const previous = this.getGameProgress(gameId);
+        const next = { ...previous, ...progress };
+        const now = new Date().toISOString();
+        Object.keys(next).forEach(field => {
+            if (next[field] === undefined) delete next[field];
+        });
+
+        // First time the game was played (cleared again if it goes back to unplayed)
+        if (this.isPlayed(next) && !this.isPlayed(previous)) {
+            next.playedAt = now;
+        } else if (!this.isPlayed(next)) {
+            delete next.playedAt;
+        }
+
+        if (next.status !== previous.status) {
+            next.statusUpdatedAt = now;
+        }
+
+        // Log every rating change, keeping the most recent 20
+        if ((next.rating || 0) !== (previous.rating || 0)) {
+            const history = previous.ratingHistory || [];
+            next.ratingHistory = [...history, { rating: next.rating || 0, date: now }].slice(-20);
+
+            if (next.rating > 0) {
+                next.ratedAt = now;
+            } else {
+                delete next.ratedAt;
+            }
+        }
+
+        if (JSON.stringify(next.journal || []) !== JSON.stringify(previous.journal || [])) {
+            next.notesUpdatedAt = now;
+        }
+
+        next.updatedAt = now;
+        this.userProgress[gameId] = next;
+        this.recordUndoStep(label, () => this.recordProgressChange(gameId, stored, next));
+        this.saveProgress();
+    }
+
+    getGameTitle(gameId) {
+        const game = this.games.find(g => g.id === gameId);
+        return game ? game.title : 'a game';
+    }
+
+    // Undo History
+    // A step holds each changed game's progress before and after (undefined when it had none),
+    // plus copies of custom games and lists when an import changed them
+    recordUndoStep(label, record) {
+        if (this.pendingUndoStep) {
+            record(this.pendingUndoStep);
+            return;
+        }
+
+        this.pendingUndoStep = { label, progress: {} };
+        try {
+            record(this.pendingUndoStep);
+        } finally {
+            const step = this.pendingUndoStep;
+            this.pendingUndoStep = null;
+            if (Object.keys(step.progress).length > 0 || step.customGames || step.lists) {
+                this.undoStack = [...this.undoStack, step].slice(-UNDO_HISTORY_LIMIT);
+                this.redoStack = [];
+            }
+        }
+    }
+
+    recordProgressChange(gameId, before, after) {
+        const step = this.pendingUndoStep;
+        if (step.progress[gameId]) {
+            step.progress[gameId].after = after;
+        } else {
+            step.progress[gameId] = { before, after };
+        }
+    }
+
+    undo() {
+        const step = this.undoStack.pop();
+        if (!step) return;
+
+        this.applyUndoStep(step, 'before');
+        this.redoStack.push(step);
+        this.showToast(`Undone: ${step.label}`, 'Redo', () => this.redo());
+    }
+
+    redo() {
+        const step = this.redoStack.pop();
+        if (!step) return;
+
+        this.applyUndoStep(step, 'after');
+        this.undoStack.push(step);
+        this.showToast(`Redone: ${step.label}`, 'Undo', () => this.undo());
+    }
+
+    // Puts every game in the step back to one side of it, bypassing updateGameProgress
+    // so the restore itself isn't recorded
+    applyUndoStep(step, side) {
+        Object.entries(step.progress).forEach(([gameId, change]) => {
+            if (change[side]) {
+                this.userProgress[gameId] = change[side];
+            } else {
+                delete this.userProgress[gameId];
+            }
+        });
+
+        // Custom games and lists roll back only if nothing changed them since, so later edits aren't lost
+        const otherSide = side === 'before' ? 'after' : 'before';
+        const unchanged = (current, snapshot) => JSON.stringify(current) === JSON.stringify(snapshot[otherSide]);
+
+        if (step.customGames && unchanged(this.customGames, step.customGames)) {
+            this.customGames = JSON.parse(JSON.stringify(step.customGames[side]));
+            this.refreshGames();
+            this.populateGenreSuggestions();
+        }
+
+        if (step.lists && unchanged(this.lists, step.lists)) {
+            this.lists = JSON.parse(JSON.stringify(step.lists[side]));
+            this.populateListFilter();
+            this.renderViewTabs();
+        }
+
+        this.saveProgress();
+        this.renderGames();
+
+        if (this.currentGameId !== null) {
+            if (!this.games.some(game => game.id === this.currentGameId)) {
+                this.closeGameModal();
+                return;
+            }
+            this.refreshGameModal();
+        }
+    }
+
+    // A deleted custom game can't come back through undo, so forget its changes
+    forgetUndoHistory(gameId) {
+        const forget = stack => stack.filter(step => {
+            delete step.progress[gameId];
+            return Object.keys(step.progress).length > 0 || step.customGames || step.lists;
+        });
+        this.undoStack = forget(this.undoStack);
+        this.redoStack = forget(this.redoStack);
+    }
+
+    // Toast with an optional action button, e.g. "Undo"
+    showToast(message, actionLabel = '', action = null) {
+        const toast = document.getElementById('toast');
+        const button = document.getElementById('toast-action');
+
+        document.getElementById('toast-message').textContent = message;
+        button.textContent = actionLabel;
+        button.hidden = !action;
+        this.toastAction = action;
+        toast.hidden = false;
+
+        clearTimeout(this.toastTimer);
+        this.toastTimer = setTimeout(() => this.hideToast(), TOAST_DURATION);
+    }
+
+    hideToast() {
+        clearTimeout(this.toastTimer);
+        document.getElementById('toast').hidden = true;
+        this.toastAction = null;
+    }
+
+    // Offer to undo the change that was just made
+    showUndoToast() {
+        const step = this.undoStack[this.undoStack.length - 1];
+        if (step) {
+            this.showToast(step.label, 'Undo', () => this.undo());
+        }
+    }
+
+    formatDate(isoString) {
+        const date = new Date(isoString);
+        if (!isoString || isNaN(date)) return '';
+        return date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
+    // Rating Scales
+    isValidRating(rating) {
+        return typeof rating === 'number' && rating >= 0 && rating <= 5 && Number.isInteger(rating * 2);
+    }
+
+    // Returns a cleaned { aspect: rating } map, or null if any score is unusable
+    getValidAspects(aspects) {
+        if (!aspects || typeof aspects !== 'object' || Array.isArray(aspects)) return null;
+        const entries = Object.entries(aspects);
+        const valid = entries.every(([aspect, rating]) =>
+            RATING_ASPECTS[aspect] && this.isValidRating(rating) && rating > 0);
+        return valid ? Object.fromEntries(entries) : null;
+    }
+
+    // Overall rating from aspect scores, rounded to the nearest half star
+    getDerivedRating(aspects) {
+        const scores = Object.values(aspects || {});
+        if (scores.length === 0) return 0;
+        const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+        return Math.round(average * 2) / 2;
+    }
+
+    hasAspectScores(progress) {
+        return Object.keys(progress.aspects || {}).length > 0;
+    }
+
+    // Stored ratings (0-5) in the units of the chosen scale
+    toDisplayRating(rating) {
+        return this.settings.ratingScale === 'ten' ? rating * 2 : rating;
+    }
+
+    formatRating(rating) {
+        if (this.settings.ratingScale === 'ten') return `${rating * 2}/10`;
+        return `${rating} ${rating === 1 ? 'star' : 'stars'}`;
+    }
+
+    // Data Export
+    getExportRecords() {
+        return Object.entries(this.userProgress).map(([id, progress]) => {
+            const game = this.games.find(g => g.id === parseInt(id));
+            return {
+                id: parseInt(id),
+                title: game ? game.title : '',
+                status: progress.status || 'none',
+                rating: progress.rating || 0,
+                journal: progress.journal || [],
+                playedAt: progress.playedAt || '',
+                statusUpdatedAt: progress.statusUpdatedAt || '',
+                ratedAt: progress.ratedAt || '',
+                notesUpdatedAt: progress.notesUpdatedAt || '',
+                ratingHistory: progress.ratingHistory || [],
+                aspects: progress.aspects || {},
+                platform: progress.platform || '',
+                ownership: progress.ownership || '',
+                hoursPlayed: progress.hoursPlayed ?? '',
+                completion: progress.completion ?? '',
+                achievements: progress.achievements || '',
+                updatedAt: progress.updatedAt || ''
+            };
+        }).sort((a, b) => a.id - b.id);
+    }
+
+    exportProgress(format) {
+        const records = this.getExportRecords();
+        const date = new Date().toISOString().slice(0, 10);
+
+        if (format === 'csv') {
+            this.downloadFile(`game-tracker-progress-${date}.csv`, this.toCSV(records), 'text/csv');
+            return;
+        }
+
+        const data = {
+            app: 'game-tracker',
+            exportedAt: new Date().toISOString(),
+            games: records,
+            customGames: this.customGames,
+            lists: this.lists
+        };
+        this.downloadFile(`game-tracker-progress-${date}.json`, JSON.stringify(data, null, 2), 'application/json');
+    }
+
+    downloadFile(filename, content, type) {
+        const blob = new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+    }
+
+    toCSV(records) {
+        const columns = [
+            'id', 'title', 'status', 'rating', 'journal',
+            'playedAt', 'statusUpdatedAt', 'ratedAt', 'notesUpdatedAt', 'ratingHistory', 'aspects',
+            'platform', 'ownership', 'hoursPlayed', 'completion', 'achievements', 'updatedAt'
+        ];
+        const escapeCell = (value) => {
+            // Nested values such as the journal and rating history are stored as JSON text
+            const text = typeof value === 'object' && value !== null ? JSON.stringify(value) : String(value ?? '');
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.join(',')];
+        records.forEach(record => {
+            lines.push(columns.map(column => escapeCell(record[column])).join(','));
+        });
+        return lines.join('\r\n');
+    }
+
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        if (cell || row.length > 0) {
+            row.push(cell);
+            rows.push(row);
+        }
+
+        // Skip blank lines
+        const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+        if (nonEmpty.length === 0) return [];
+
+        const headers = nonEmpty[0].map(header => header.trim());
+        return nonEmpty.slice(1).map(values => {
+            const record = {};
+            headers.forEach((header, index) => {
+                record[header] = values[index] ?? '';
+            });
+            return record;
+        });
+    }
+
+    // Data Import
+    parseImportFile(filename, text) {
+        const isCSV = /\.csv$/i.test(filename) || !/^\s*[[{]/.test(text);
+
+        if (isCSV) {
+            const records = this.parseCSV(text);
+            if (records.length === 0) {
+                throw new Error('The CSV file has no rows to import.');
+            }
+            if (!('id' in records[0]) && !('title' in records[0])) {
+                throw new Error('The CSV file needs an "id" or "title" column.');
+            }
+            return { records, customGames: [], lists: [] };
+        }
+
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error('The file is not valid JSON.');
+        }
+
+        // Accept our export format, a plain array of records, or a raw storage value
+        if (Array.isArray(data)) return { records: data, customGames: [], lists: [] };
+        if (data && typeof data === 'object') {
+            const customGames = Array.isArray(data.customGames) ? data.customGames : [];
+            const lists = Array.isArray(data.lists) ? data.lists : [];
+            if (Array.isArray(data.games)) return { records: data.games, customGames, lists };
+
+            const progress = this.getStorageVersion(data) > 1 ? data.progress : data;
+            const records = Object.entries(progress).map(([id, entry]) => ({ id, ...entry }));
+            return { records, customGames, lists };
+        }
+
+        throw new Error('The file does not contain any game progress.');
+    }
+
+    // Match imported custom games to existing games by title, or give them new ids
+    prepareImportedCustomGames(customGames) {
+        const newGames = [];
+        const idMap = {};
+        const errors = [];
+        let nextId = this.getNextCustomGameId();
+
+        customGames.forEach((game, index) => {
+            const problem = this.getGameProblem(game);
+            if (problem) {
+                errors.push(`Custom game ${index + 1}: ${problem}`);
+                return;
+            }
+
+            const title = game.title.trim().toLowerCase();
+            const existing = [...this.games, ...newGames].find(g => g.title.toLowerCase() === title);
+            if (existing) {
+                idMap[game.id] = existing.id;
+                return;
+            }
+
+            const newGame = this.normalizeCustomGame({ ...game, id: nextId-- });
+            idMap[game.id] = newGame.id;
+            newGames.push(newGame);
+        });
+
+        return { newGames, idMap, errors };
+    }
+
+    // Keep valid imported lists, following custom games to their new ids
+    prepareImportedLists(lists, idMap, extraGames) {
+        const games = [...this.games, ...extraGames];
+        const prepared = [];
+        const errors = [];
+
+        lists.forEach((list, index) => {
+            const problem = this.getListProblem(list);
+            if (problem) {
+                errors.push(`List ${index + 1}: ${problem}`);
+                return;
+            }
+
+            const gameIds = list.gameIds
+                .map(id => (id in idMap ? idMap[id] : id))
+                .filter((id, position, ids) => games.some(g => g.id === id) && ids.indexOf(id) === position);
+
+            prepared.push({ name: list.name.trim(), gameIds });
+        });
+
+        return { lists: prepared, errors };
+    }
+
+    // Lists with the same name are merged (or replaced); others are added
+    mergeLists(current, incoming, mode) {
+        const result = current.map(list => ({ ...list, gameIds: [...list.gameIds] }));
+        const summary = { added: 0, updated: 0 };
+
+        incoming.forEach(list => {
+            const existing = result.find(l => l.name.toLowerCase() === list.name.toLowerCase());
+            if (!existing) {
+                result.push({ id: this.createListId(result), name: list.name, gameIds: list.gameIds });
+                summary.added++;
+                return;
+            }
+
+            const gameIds = mode === 'replace'
+                ? list.gameIds
+                : [...existing.gameIds, ...list.gameIds.filter(id => !existing.gameIds.includes(id))];
+
+            if (gameIds.join(',') !== existing.gameIds.join(',')) {
+                existing.gameIds = gameIds;
+                summary.updated++;
+            }
+        });
+
+        return { result, summary };
+    }
+
+    // Progress for imported custom games follows them to their ids here through idMap
+    validateImportRecords(records, extraGames = [], idMap = {}) {
+        const games = [...this.games, ...extraGames];
+        const entries = {};
+        const errors = [];
+
+        records.forEach((record, index) => {
+            const label = `Entry ${index + 1}`;
+
+            if (!record || typeof record !== 'object') {
+                errors.push(`${label}: not a valid record`);
+                return;
+            }
+
+            // Custom game ids differ between browsers, so one the file's custom games didn't map
+            // (a CSV has none, or that custom game was rejected) only matches by title
+            const mapped = record.id in idMap;
+            const id = mapped ? idMap[record.id] : parseInt(record.id);
+            let game = id >= 0 || mapped ? games.find(g => g.id === id) : null;
+            if (!game && record.title) {
+                const title = String(record.title).trim().toLowerCase();
+                game = games.find(g => g.title.toLowerCase() === title);
+            }
+            if (!game) {
+                errors.push(`${label}: no game matches id "${record.id ?? ''}" or title "${record.title ?? ''}"`);
+                return;
+            }
+
+            const rating = record.rating === undefined || record.rating === '' ? 0 : Number(record.rating);
+            if (!this.isValidRating(rating)) {
+                errors.push(`${label} (${game.title}): rating must be a number from 0 to 5 in half-star steps`);
+                return;
+            }
+
+            const aspects = this.parseImportedAspects(record.aspects);
+            if (!aspects) {
+                errors.push(`${label} (${game.title}): aspect scores are not valid`);
+                return;
+            }
+
+            const journal = this.parseImportedJournal(record);
+            if (!journal) {
+                errors.push(`${label} (${game.title}): journal entries are not valid, or one is longer than ${JOURNAL_ENTRY_MAX_LENGTH} characters`);
+                return;
+            }
+
+            const dates = {};
+            const badDate = ['playedAt', 'statusUpdatedAt', 'ratedAt', 'notesUpdatedAt', 'updatedAt'].find(field => {
+                if (!record[field]) return false;
+                if (isNaN(Date.parse(record[field]))) return true;
+                dates[field] = new Date(record[field]).toISOString();
+                return false;
+            });
+            if (badDate) {
+                errors.push(`${label} (${game.title}): "${record[badDate]}" is not a valid date`);
+                return;
+            }
+
+            const ratingHistory = this.parseImportedHistory(record.ratingHistory);
+            if (!ratingHistory) {
+                errors.push(`${label} (${game.title}): rating history is not valid`);
+                return;
+            }
+
+            const copy = this.parseImportedCopy(record);
+            if (typeof copy === 'string') {
+                errors.push(`${label} (${game.title}): ${copy}`);
+                return;
+            }
+
+            let status = String(record.status ?? '').trim().toLowerCase() || 'none';
+            if (!(status in PLAY_STATUSES)) {
+                errors.push(`${label} (${game.title}): "${record.status}" is not a known status`);
+                return;
+            }
+
+            // Files from before statuses existed only carry a played flag
+            const playedValue = String(record.played ?? '').trim().toLowerCase();
+            if (!record.status && (record.played === true || ['true', 'yes', '1'].includes(playedValue))) {
+                status = 'completed';
+            }
+
+            // A rating means the game was played, as it does when rating in the app
+            if (rating > 0 && !PLAYED_STATUSES.includes(status)) {
+                status = 'completed';
+            }
+
+            if (entries[game.id]) {
+                errors.push(`${label} (${game.title}): duplicate entry, the later one was used`);
+            }
+
+            entries[game.id] = { status, rating, journal, ...copy, ...dates };
+            if (!PLAYED_STATUSES.includes(status)) delete entries[game.id].playedAt;
+            if (ratingHistory.length > 0) entries[game.id].ratingHistory = ratingHistory;
+            if (Object.keys(aspects).length > 0) entries[game.id].aspects = aspects;
+        });
+
+        return { entries, errors };
+    }
+
+    // Returns the cleaned history array, or null if it cannot be used
+    parseImportedHistory(value) {
+        if (value === undefined || value === null || value === '') return [];
+
+        let history = value;
+        if (typeof value === 'string') {
+            try {
+                history = JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (!Array.isArray(history)) return null;
+
+        const valid = history.every(item => item &&
+            this.isValidRating(item.rating) && !isNaN(Date.parse(item.date)));
+
+        return valid
+            ? history.map(item => ({ rating: item.rating, date: new Date(item.date).toISOString() })).slice(-20)
+            : null;
+    }
+
+    // Returns the journal entries, or null if they cannot be used.
+    // Files from before the journal carry a single notes text instead.
+    parseImportedJournal(record) {
+        let journal = record.journal;
+        if (journal === undefined || journal === null || journal === '') {
+            const notes = record.notes === undefined || record.notes === null ? '' : String(record.notes);
+            if (!notes.trim()) return [];
+            const date = [record.notesUpdatedAt, record.updatedAt].find(value => value && !isNaN(Date.parse(value)));
+            journal = [{ text: notes, createdAt: date || new Date().toISOString() }];
+        }
+
+        if (typeof journal === 'string') {
+            try {
+                journal = JSON.parse(journal);
+            } catch (error) {
+                return null;
+            }
+        }
+
+        if (!Array.isArray(journal)) return null;
+
+        const entries = journal.map(entry => entry && typeof entry === 'object' ? {
+            id: typeof entry.id === 'string' && entry.id ? entry.id : this.createJournalEntryId(),
+            text: entry.text,
+            createdAt: entry.createdAt,
+            updatedAt: entry.updatedAt || entry.createdAt
+        } : entry);
+        return this.getValidJournal(entries);
+    }
+
+    // Returns the aspect scores, or null if they cannot be used
+    parseImportedAspects(value) {
+        if (value === undefined || value === null || value === '') return {};
+
+        let aspects = value;
+        if (typeof value === 'string') {
+            try {
+                aspects = JSON.parse(value);
+            } catch (error) {
+                return null;
+            }
+        }
+        return this.getValidAspects(aspects);
+    }
+
+    // Returns the copy fields that were filled in, or a message saying which one cannot be used.
+    // CSV cells are all text, and an empty cell leaves the field out.
+    parseImportedCopy(record) {
+        const copy = {};
+        const text = field => String(record[field] ?? '').trim();
+
+        if (text('platform')) copy.platform = text('platform');
+        if (text('ownership') && text('ownership').toLowerCase() !== 'none') copy.ownership = text('ownership').toLowerCase();
+        ['hoursPlayed', 'completion'].forEach(field => {
+            if (text(field)) copy[field] = Number(text(field).replace(/%$/, ''));
+        });
+
+        if (typeof record.achievements === 'object' && record.achievements !== null) {
+            copy.achievements = record.achievements;
+        } else if (text('achievements')) {
+            try {
+                copy.achievements = JSON.parse(text('achievements'));
+            } catch (error) {
+                return 'achievements are not valid';
+            }
+        }
+
+        const problem = this.getCopyProblem(copy);
+        if (problem) return problem;
+        if (copy.achievements) copy.achievements = { earned: copy.achievements.earned, total: copy.achievements.total };
+        return copy;
+    }
+
+    progressEntriesEqual(a, b) {
+        return (a.status || 'none') === (b.status || 'none') &&
+            (a.rating || 0) === (b.rating || 0) &&
+            JSON.stringify(this.getJournalTexts(a)) === JSON.stringify(this.getJournalTexts(b)) &&
+            JSON.stringify(a.aspects || {}) === JSON.stringify(b.aspects || {}) &&
+            COPY_FIELDS.every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+    }
+
+    // Decide whether an incoming entry wins over the stored one
+    incomingWinsConflict(existing, incoming, policy) {
+        switch (policy) {
+            case 'newer':
+                return (Date.parse(incoming.updatedAt) || 0) > (Date.parse(existing.updatedAt) || 0);
+            case 'rating':
+                return (incoming.rating || 0) > (existing.rating || 0);
+            case 'incoming':
+                return true;
+            case 'existing':
+            default:
+                return false;
+        }
+    }
+
+    mergeProgress(current, incoming, mode, policy) {
+        const result = mode === 'replace' ? {} : { ...current };
+        const summary = { added: 0, updated: 0, unchanged: 0, keptExisting: 0, removed: 0, changes: [] };
+
+        if (mode === 'replace') {
+            summary.removed = Object.keys(current).filter(id => !(id in incoming)).length;
+        }
+
+        Object.entries(incoming).forEach(([id, entry]) => {
+            const existing = current[id];
+
+            if (!existing) {
+                result[id] = entry;
+                summary.added++;
+                summary.changes.push({ id: parseInt(id), type: 'added', to: entry });
+            } else if (this.progressEntriesEqual(existing, entry)) {
+                result[id] = existing;
+                summary.unchanged++;
+            } else if (mode === 'replace' || this.incomingWinsConflict(existing, entry, policy)) {
+                result[id] = entry;
+                summary.updated++;
+                summary.changes.push({ id: parseInt(id), type: 'updated', from: existing, to: entry });
+            } else {
+                result[id] = existing;
+                summary.keptExisting++;
+                summary.changes.push({ id: parseInt(id), type: 'kept', from: existing, to: entry });
+            }
+        });
+
+        return { result, summary };
+    }
+
+    // Import Preview
+    async startImport(file) {
+        try {
+            const text = await file.text();
+            const { records, customGames, lists } = this.parseImportFile(file.name, text);
+            const prepared = this.prepareImportedCustomGames(customGames);
+            const preparedLists = this.prepareImportedLists(lists, prepared.idMap, prepared.newGames);
+
+            const { entries, errors } = this.validateImportRecords(records, prepared.newGames, prepared.idMap);
+            this.pendingImport = {
+                filename: file.name,
+                entries,
+                errors: [...prepared.errors, ...preparedLists.errors, ...errors],
+                customGames: prepared.newGames,
+                lists: preparedLists.lists
+            };
+            this.openImportModal();
+        } catch (error) {
+            this.pendingImport = { filename: file.name, entries: {}, errors: [error.message], customGames: [], lists: [] };
+            this.openImportModal();
+        }
+    }
+
+    getImportOptions() {
+        const mode = document.querySelector('input[name="import-mode"]:checked').value;
+        const policy = document.getElementById('import-policy').value;
+        return { mode, policy };
+    }
+
+    openImportModal() {
+        document.getElementById('import-file-name').textContent = this.pendingImport.filename;
+        this.updateImportPreview();
+
+        const modal = document.getElementById('import-modal');
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+    }
+
+    updateImportPreview() {
+        if (!this.pendingImport) return;
+
+        const { mode, policy } = this.getImportOptions();
+        const { entries, errors, customGames, lists } = this.pendingImport;
+        const { summary } = this.mergeProgress(this.userProgress, entries, mode, policy);
+        const listSummary = this.mergeLists(this.lists, lists, mode).summary;
+        const validCount = Object.keys(entries).length;
+        const games = [...this.games, ...customGames];
+
+        document.getElementById('import-policy').disabled = mode === 'replace';
+
+        const preview = document.getElementById('import-preview');
+        preview.innerHTML = html`
+            <div class="import-summary">
+                <div><span class="import-count">${validCount}</span> valid entries</div>
+                <div><span class="import-count">${summary.added}</span> new</div>
+                <div><span class="import-count">${summary.updated}</span> updated</div>
+                <div><span class="import-count">${summary.unchanged}</span> unchanged</div>
+                ${mode === 'merge' ? html`<div><span class="import-count">${summary.keptExisting}</span> kept as yours</div>` : ''}
+                ${mode === 'replace' ? html`<div><span class="import-count">${summary.removed}</span> removed</div>` : ''}
+                ${customGames.length > 0 ? html`<div><span class="import-count">${customGames.length}</span> custom games to add</div>` : ''}
+                ${listSummary.added > 0 ? html`<div><span class="import-count">${listSummary.added}</span> lists to add</div>` : ''}
+                ${listSummary.updated > 0 ? html`<div><span class="import-count">${listSummary.updated}</span> lists to update</div>` : ''}
+            </div>
+        `;
+
+        if (summary.changes.length > 0) {
+            const list = document.createElement('ul');
+            list.className = 'import-changes';
+            summary.changes.slice(0, 10).forEach(change => {
+                const game = games.find(g => g.id === change.id);
+                const item = document.createElement('li');
+                item.textContent = `${game.title}: ${this.describeImportChange(change)}`;
+                list.appendChild(item);
+            });
+            if (summary.changes.length > 10) {
+                const more = document.createElement('li');
+                more.textContent = `...and ${summary.changes.length - 10} more`;
+                list.appendChild(more);
+            }
+            preview.appendChild(list);
+        }
+
+        if (errors.length > 0) {
+            const heading = document.createElement('h3');
+            heading.textContent = `${errors.length} ${errors.length === 1 ? 'problem' : 'problems'} found (these entries will be skipped)`;
+            const list = document.createElement('ul');
+            list.className = 'import-errors';
+            errors.forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                list.appendChild(item);
+            });
+            preview.append(heading, list);
+        }
+
+        const hasChanges = summary.added + summary.updated + summary.removed +
+            customGames.length + listSummary.added + listSummary.updated > 0;
+        document.getElementById('confirm-import').disabled = !hasChanges;
+    }
+
+    describeImportChange(change) {
+        const describe = (entry) => {
+            const status = PLAY_STATUSES[entry.status || 'none'];
+            return entry.rating > 0 ? `${status}, ${this.formatRating(entry.rating)}` : status;
+        };
+
+        if (change.type === 'added') return `new (${describe(change.to)})`;
+        if (change.type === 'kept') return `keeping yours (${describe(change.from)}) over ${describe(change.to)}`;
+        return `${describe(change.from)} → ${describe(change.to)}`;
+    }
+
+    applyImport() {
+        if (!this.pendingImport) return;
+
+        const { mode, policy } = this.getImportOptions();
+        const { result } = this.mergeProgress(this.userProgress, this.pendingImport.entries, mode, policy);
+        const before = {
+            progress: this.userProgress,
+            customGames: JSON.parse(JSON.stringify(this.customGames)),
+            lists: JSON.parse(JSON.stringify(this.lists))
+        };
+
+        if (this.pendingImport.customGames.length > 0) {
+            this.customGames = [...this.customGames, ...this.pendingImport.customGames];
+            this.refreshGames();
+            this.populateGenreSuggestions();
+        }
+
+        if (this.pendingImport.lists.length > 0) {
+            this.lists = this.mergeLists(this.lists, this.pendingImport.lists, mode).result;
+            this.populateListFilter();
+            this.renderViewTabs();
+        }
+
+        this.userProgress = result;
+
+        // The whole import undoes as one step, including the custom games and lists it brought in
+        const count = Object.keys(this.pendingImport.entries).length;
+        this.recordUndoStep(`Imported ${count} ${count === 1 ? 'entry' : 'entries'}`, step => {
+            new Set([...Object.keys(before.progress), ...Object.keys(result)]).forEach(gameId => {
+                if (JSON.stringify(before.progress[gameId]) !== JSON.stringify(result[gameId])) {
+                    this.recordProgressChange(gameId, before.progress[gameId], result[gameId]);
+                }
+            });
+            step.customGames = { before: before.customGames, after: JSON.parse(JSON.stringify(this.customGames)) };
+            step.lists = { before: before.lists, after: JSON.parse(JSON.stringify(this.lists)) };
+        });
+
+        this.saveProgress();
+        this.renderGames();
+        this.closeImportModal();
+        this.showUndoToast();
+    }
+
+    closeImportModal() {
+        const modal = document.getElementById('import-modal');
+        modal.classList.remove('active');
+        document.body.style.overflow = 'auto';
+        document.getElementById('import-file').value = '';
+        this.pendingImport = null;
+    }
+
+    // Custom Games
+    getGameProblem(game) {
+        if (!game || typeof game !== 'object') return 'not a valid game';
+        if (typeof game.title !== 'string' || !game.title.trim()) return 'title is required';
+        if (game.title.trim().length > 100) return 'title is longer than 100 characters';
+
+        const maxYear = new Date().getFullYear() + 5;
+        if (!Number.isInteger(game.year) || game.year < 1950 || game.year > maxYear) {
+            return `year must be a whole number from 1950 to ${maxYear}`;
+        }
+
+        if (typeof game.genre !== 'string' || !game.genre.trim()) return 'genre is required';
+        if (game.genre.trim().length > 50) return 'genre is longer than 50 characters';
+
+        if (!Array.isArray(game.themes) || game.themes.some(theme => typeof theme !== 'string' || !theme.trim())) {
+            return 'themes must be a list of text';
+        }
+        if (game.themes.length > 6) return 'a game can have at most 6 themes';
+        if (game.themes.some(theme => theme.trim().length > 30)) return 'themes are limited to 30 characters each';
+
+        return this.getGameDetailsProblem(game);
+    }
+
+    // The optional fields; each one may be left out
+    getGameDetailsProblem(game) {
+        if ('platforms' in game) {
+            if (!Array.isArray(game.platforms) || game.platforms.some(platform => typeof platform !== 'string' || !platform.trim())) {
+                return 'platforms must be a list of text';
+            }
+            if (game.platforms.length > GAME_PLATFORMS_MAX) return `a game can have at most ${GAME_PLATFORMS_MAX} platforms`;
+            if (game.platforms.some(platform => platform.trim().length > 30)) return 'platforms are limited to 30 characters each';
+        }
+
+        const badText = Object.keys(GAME_TEXT_FIELDS).find(field => field in game &&
+            (typeof game[field] !== 'string' || !game[field].trim() || game[field].trim().length > 60));
+        if (badText) return `${badText} must be text of up to 60 characters`;
+
+        if ('estimatedHours' in game &&
+            (typeof game.estimatedHours !== 'number' || !(game.estimatedHours > 0) || game.estimatedHours > GAME_HOURS_MAX)) {
+            return `estimated hours must be a number above 0 and at most ${GAME_HOURS_MAX}`;
+        }
+
+        if ('cover' in game && (typeof game.cover !== 'string' || !COVER_PATH_PATTERN.test(game.cover))) {
+            return 'cover must be the path of an image file inside the app, e.g. covers/game.jpg';
+        }
+        return '';
+    }
+
+    normalizeCustomGame(game) {
+        return {
+            id: game.id,
+            title: game.title.trim(),
+            year: game.year,
+            genre: game.genre.trim(),
+            themes: [...new Set(game.themes.map(theme => theme.trim()))],
+            ...this.normalizeGameDetails(game),
+            custom: true
+        };
+    }
+
+    // Trimmed optional fields, leaving out empty ones; covers stay catalog-only since custom games have no image files
+    normalizeGameDetails(game) {
+        const details = {};
+        const platforms = [...new Set((game.platforms || []).map(platform => platform.trim()))];
+        if (platforms.length > 0) details.platforms = platforms;
+        Object.keys(GAME_TEXT_FIELDS).forEach(field => {
+            if (game[field]) details[field] = game[field].trim();
+        });
+        if (game.estimatedHours) details.estimatedHours = game.estimatedHours;
+        return details;
+    }
+
+    // Custom games use negative ids so they can never collide with the catalog
+    getNextCustomGameId() {
+        return Math.min(0, ...this.customGames.map(game => game.id)) - 1;
+    }
+
+    openCustomGameModal(gameId = null) {
+        const game = gameId ? this.customGames.find(g => g.id === gameId) : null;
+        this.editingCustomGameId = game ? game.id : null;
+
+        document.getElementById('custom-game-heading').textContent = game ? 'Edit Custom Game' : 'Add Custom Game';
+        document.getElementById('custom-game-title').value = game ? game.title : '';
+        document.getElementById('custom-game-year').value = game ? game.year : '';
+        document.getElementById('custom-game-genre').value = game ? game.genre : '';
+        document.getElementById('custom-game-themes').value = game ? game.themes.join(', ') : '';
+        document.getElementById('custom-game-platforms').value = game && game.platforms ? game.platforms.join(', ') : '';
+        Object.keys(GAME_TEXT_FIELDS).forEach(field => {
+            document.getElementById(`custom-game-${field}`).value = game && game[field] ? game[field] : '';
+        });
+        document.getElementById('custom-game-hours').value = game && game.estimatedHours ? game.estimatedHours : '';
+        // Start with the optional fields open only if the game already uses them
+        document.getElementById('custom-game-details').open = Boolean(game && Object.keys(this.normalizeGameDetails(game)).length > 0);
+        document.getElementById('custom-game-error').textContent = '';
+
+        const modal = document.getElementById('custom-game-modal');
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        document.getElementById('custom-game-title').focus();
+    }
+
+    closeCustomGameModal() {
+        const modal = document.getElementById('custom-game-modal');
+        modal.classList.remove('active');
+        this.editingCustomGameId = null;
+
+        // Keep scrolling locked if the game modal is still open underneath
+        if (!this.currentGameId) {
+            document.body.style.overflow = 'auto';
+        }
+    }
+
+    saveCustomGame() {
+        const yearValue = document.getElementById('custom-game-year').value.trim();
+        const hoursValue = document.getElementById('custom-game-hours').value.trim();
+        const splitList = value => value.split(',').map(item => item.trim()).filter(item => item);
+        const game = {
+            id: this.editingCustomGameId || this.getNextCustomGameId(),
+            title: document.getElementById('custom-game-title').value,
+            year: yearValue === '' ? NaN : Number(yearValue),
+            genre: document.getElementById('custom-game-genre').value,
+            themes: splitList(document.getElementById('custom-game-themes').value)
+        };
+
+        // Optional fields are left off the game when empty
+        const platforms = splitList(document.getElementById('custom-game-platforms').value);
+        if (platforms.length > 0) game.platforms = platforms;
+        Object.keys(GAME_TEXT_FIELDS).forEach(field => {
+            const value = document.getElementById(`custom-game-${field}`).value;
+            if (value.trim()) game[field] = value;
+        });
+        if (hoursValue !== '') game.estimatedHours = Number(hoursValue);
+
+        let problem = this.getGameProblem(game);
+        const title = game.title.trim().toLowerCase();
+        if (!problem && this.games.some(g => g.id !== game.id && g.title.toLowerCase() === title)) {
+            problem = 'a game with this title already exists';
+        }
+
+        if (problem) {
+            document.getElementById('custom-game-error').textContent =
+                problem.charAt(0).toUpperCase() + problem.slice(1) + '.';
+            return;
+        }
+
+        const normalized = this.normalizeCustomGame(game);
+        const index = this.customGames.findIndex(g => g.id === normalized.id);
+        if (index >= 0) {
+            this.customGames[index] = normalized;
+        } else {
+            this.customGames.push(normalized);
+        }
+
+        this.refreshGames();
+        this.populateGenreSuggestions();
+        this.saveProgress();
+        this.closeCustomGameModal();
+        this.renderGames();
+
+        // Refresh the game modal if this game is open underneath
+        if (this.currentGameId === normalized.id) {
+            this.openGameModal(normalized.id);
+        }
+    }
+
+    deleteCustomGame(gameId) {
+        const game = this.customGames.find(g => g.id === gameId);
+        if (!game) return;
+
+        if (!confirm(`Delete "${game.title}" and all of its ratings and journal entries?`)) return;
+
+        this.customGames = this.customGames.filter(g => g.id !== gameId);
+        delete this.userProgress[gameId];
+        this.forgetUndoHistory(gameId);
+        this.discardJournalDraft(gameId);
+        this.lists.forEach(list => {
+            list.gameIds = list.gameIds.filter(id => id !== gameId);
+        });
+        this.renderViewTabs();
+
+        this.refreshGames();
+        this.populateGenreSuggestions();
+        this.closeGameModal();
+        this.saveProgress();
+        this.renderGames();
+    }
+
+    // Custom Lists
+    getList(listId) {
+        return this.lists.find(list => list.id === listId);
+    }
+
+    createListId(lists = this.lists) {
+        let id;
+        do {
+            id = `list-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+        } while (lists.some(list => list.id === id));
+        return id;
+    }
+
+    getListNameProblem(name, exceptId = null) {
+        const trimmed = name.trim();
+        if (!trimmed) return 'Please enter a list name.';
+        if (trimmed.length > 60) return 'List names are limited to 60 characters.';
+        if (this.lists.some(list => list.id !== exceptId && list.name.toLowerCase() === trimmed.toLowerCase())) {
+            return 'A list with this name already exists.';
+        }
+        return '';
+    }
+
+    createList(name, gameIds = []) {
+        const problem = this.getListNameProblem(name);
+        if (problem) {
+            alert(problem);
+            return null;
+        }
+
+        const list = { id: this.createListId(), name: name.trim(), gameIds };
+        this.lists.push(list);
+        this.saveLists();
+        return list;
+    }
+
+    renameList(listId) {
+        const list = this.getList(listId);
+        if (!list) return;
+
+        const name = prompt('Rename list', list.name);
+        if (name === null) return;
+
+        const problem = this.getListNameProblem(name, listId);
+        if (problem) {
+            alert(problem);
+            return;
+        }
+
+        list.name = name.trim();
+        this.saveLists();
+    }
+
+    deleteList(listId) {
+        const list = this.getList(listId);
+        if (!list) return;
+
+        if (!confirm(`Delete the list "${list.name}"? The games themselves are not affected.`)) return;
+
+        this.lists = this.lists.filter(l => l.id !== listId);
+        if (this.filters.list === listId) {
+            this.filters.list = '';
+        }
+        if (this.activeListId === listId) {
+            this.activeListId = null;
+        }
+        this.saveLists();
+    }
+
+    toggleGameInList(listId, gameId) {
+        const list = this.getList(listId);
+        if (!list) return;
+
+        if (list.gameIds.includes(gameId)) {
+            list.gameIds = list.gameIds.filter(id => id !== gameId);
+        } else {
+            list.gameIds.push(gameId);
+        }
+        this.saveLists();
+    }
+
+    moveGameInList(listId, gameId, toIndex) {
+        const list = this.getList(listId);
+        if (!list) return;
+
+        const fromIndex = list.gameIds.indexOf(gameId);
+        if (fromIndex < 0) return;
+
+        const clamped = Math.max(0, Math.min(toIndex, list.gameIds.length - 1));
+        if (clamped === fromIndex) return;
+
+        list.gameIds.splice(fromIndex, 1);
+        list.gameIds.splice(clamped, 0, gameId);
+        this.saveLists();
+
+        // Keep keyboard focus on the moved game
+        const item = document.querySelector(`#list-items [data-game-id="${gameId}"]`);
+        if (item) item.focus();
+    }
+
+    // Persist lists and refresh everything that shows them
+    saveLists() {
+        this.saveProgress();
+        this.populateListFilter();
+        this.renderViewTabs();
+        this.renderGames();
+        if (this.currentGameId) {
+            this.updateModalLists();
+        }
+    }
+
+    populateListFilter() {
+        const listFilter = document.getElementById('list-filter');
+        listFilter.length = 1;
+
+        this.lists.forEach(list => {
+            const option = document.createElement('option');
+            option.value = list.id;
+            option.textContent = list.name;
+            listFilter.appendChild(option);
+        });
+
+        if (!this.getList(this.filters.list)) {
+            this.filters.list = '';
+        }
+        listFilter.value = this.filters.list;
+    }
+
+    // Tabs for "All Games" and each list page
+    renderViewTabs() {
+        const tabs = document.getElementById('view-tabs-list');
+        const views = [
+            { id: '', name: 'All Games', count: this.games.length },
+            ...Object.entries(SPECIAL_VIEWS).map(([id, name]) => ({ id, name })),
+            ...this.lists.map(list => ({
+            id: list.id,
+            name: list.name,
+            count: list.gameIds.length
+        }))];
+
+        const activeViewId = this.getActiveViewId();
+        tabs.innerHTML = views.map(view => html`
+            <button class="view-tab ${activeViewId === view.id ? 'active' : ''}"
+                    data-list-id="${view.id}" role="tab"
+                    aria-selected="${activeViewId === view.id}">
+                ${view.name}${view.count !== undefined ? html` <span class="view-tab-count">${view.count}</span>` : ''}
+            </button>
+        `).join('');
+    }
+
+    // Views are "All Games" (''), a list id, or one of SPECIAL_VIEWS
+    showView(viewId) {
+        this.activeListId = this.getList(viewId) ? viewId : null;
+        this.activeSpecialView = SPECIAL_VIEWS[viewId] ? viewId : null;
+
+        document.getElementById('games-view').hidden = Boolean(this.activeListId || this.activeSpecialView);
+        document.getElementById('list-view').hidden = !this.activeListId;
+        Object.keys(SPECIAL_VIEWS).forEach(view => {
+            document.getElementById(`${view}-view`).hidden = this.activeSpecialView !== view;
+        });
+
+        this.renderViewTabs();
+        this.renderGames();
+        if (this.activeSpecialView) {
+            this.renderSpecialView();
+        }
+    }
+
+    renderSpecialView() {
+        if (this.activeSpecialView === 'insights') {
+            this.renderInsights();
+        } else if (this.activeSpecialView === 'journal') {
+            this.renderJournalView();
+        } else if (this.activeSpecialView === 'compare') {
+            this.renderCompareView();
+        }
+    }
+
+    getActiveViewId() {
+        return this.activeSpecialView || this.activeListId || '';
+    }
+
+    renderListView() {
+        const list = this.getList(this.activeListId);
+        if (!list) return;
+
+        document.getElementById('list-view-title').textContent = list.name;
+
+        const games = list.gameIds
+            .map(id => this.games.find(g => g.id === id))
+            .filter(Boolean);
+        document.getElementById('list-view-count').textContent =
+            `${games.length} ${games.length === 1 ? 'game' : 'games'}`;
+
+        const items = document.getElementById('list-items');
+        if (games.length === 0) {
+            items.innerHTML = html`
+                <li class="empty-state">
+                    <h3>This list is empty</h3>
+                    <p>Open any game and tick this list to add it</p>
+                </li>
+            `;
+            return;
+        }
+
+        items.innerHTML = games.map((game, index) => {
+            const progress = this.getGameProgress(game.id);
+            const status = progress.status || 'none';
+            return html`
+                <li class="list-item" draggable="true" tabindex="0" data-game-id="${game.id}"
+                    aria-label="${index + 1}. ${game.title}. Alt plus arrow keys to reorder">
+                    <span class="list-item-handle" aria-hidden="true">&#8942;&#8942;</span>
+                    <span class="list-item-rank">${index + 1}</span>
+                    <div class="list-item-info">
+                        <button class="list-item-title" data-action="open">${game.title}</button>
+                        <div class="game-meta">
+                            <span class="game-year">${game.year}</span>
+                            <span class="game-genre">${game.genre}</span>
+                            <span class="status-badge status-${status} ${this.isPlayed(progress) ? 'played' : 'unplayed'}">${PLAY_STATUSES[status]}</span>
+                        </div>
+                    </div>
+                    <div class="game-rating">${progress.rating > 0 ? this.createStarDisplay(progress.rating) : ''}</div>
+                    <div class="list-item-actions">
+                        <button data-action="up" aria-label="Move up" ${index === 0 ? 'disabled' : ''}>&#9650;</button>
+                        <button data-action="down" aria-label="Move down" ${index === games.length - 1 ? 'disabled' : ''}>&#9660;</button>
+                        <button data-action="remove" aria-label="Remove from list">&times;</button>
+                    </div>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Checkboxes in the game modal for each list
+    updateModalLists() {
+        const container = document.getElementById('modal-lists');
+        if (this.lists.length === 0) {
+            container.innerHTML = '<p class="lists-empty">You have no lists yet. Create one below.</p>';
+            return;
+        }
+
+        container.innerHTML = this.lists.map(list => html`
+            <label class="modal-list-option">
+                <input type="checkbox" data-list-id="${list.id}"
+                    ${list.gameIds.includes(this.currentGameId) ? 'checked' : ''}>
+                ${list.name}
+            </label>
+        `).join('');
+    }
+
+    // Statistics
+    updateStats() {
+        const stats = this.calculateStats();
+        document.getElementById('played-count').textContent = stats.playedCount;
+        document.getElementById('unplayed-count').textContent = stats.unplayedCount;
+        document.getElementById('avg-rating').textContent = stats.avgRating;
+        document.getElementById('completion-percentage').textContent = stats.completionPercentage;
+        document.getElementById('hours-played').textContent = Math.round(stats.hoursPlayed);
+        document.getElementById('owned-count').textContent = stats.ownedCount;
+
+        Object.entries(stats.statusCounts).forEach(([status, count]) => {
+            const element = document.getElementById(`status-count-${status}`);
+            if (element) element.textContent = count;
+        });
+
+        // Hours by genre and the "owned but not played" shortcut, once there's anything to show
+        document.getElementById('playtime-breakdown').hidden = stats.genreHours.length === 0 && stats.ownedCount === 0;
+        document.getElementById('genre-hours').innerHTML = stats.genreHours.map(({ genre, hours }) => html`
+            <li>
+                <button class="genre-hours-item" data-genre="${encodeURIComponent(genre)}" title="Show ${genre} games">
+                    <span>${genre}</span>
+                    <span class="genre-hours-value">${this.formatPlayedHours(hours)}</span>
+                </button>
+            </li>
+        `).join('');
+        const ownedUnplayed = document.getElementById('show-owned-unplayed');
+        ownedUnplayed.textContent = `Owned but not played: ${stats.ownedUnplayedCount}`;
+        ownedUnplayed.disabled = stats.ownedUnplayedCount === 0;
+    }
+
+    calculateStats() {
+        let playedCount = 0;
+        let totalRating = 0;
+        let ratedCount = 0;
+        let hoursPlayed = 0;
+        let ownedCount = 0;
+        let ownedUnplayedCount = 0;
+        const hoursByGenre = {};
+        const statusCounts = {};
+        Object.keys(PLAY_STATUSES).forEach(status => {
+            statusCounts[status] = 0;
+        });
+
+        this.games.forEach(game => {
+            const progress = this.getGameProgress(game.id);
+            statusCounts[progress.status || 'none']++;
+
+            if (this.isPlayed(progress)) {
+                playedCount++;
+                if (progress.rating > 0) {
+                    totalRating += progress.rating;
+                    ratedCount++;
+                }
+            }
+
+            if (this.isOwned(progress)) {
+                ownedCount++;
+                if (!this.isPlayed(progress)) ownedUnplayedCount++;
+            }
+
+            if (progress.hoursPlayed > 0) {
+                hoursPlayed += progress.hoursPlayed;
+                hoursByGenre[game.genre] = (hoursByGenre[game.genre] || 0) + progress.hoursPlayed;
+            }
+        });
+
+        const unplayedCount = this.games.length - playedCount;
+        const avgRating = ratedCount > 0 ? this.toDisplayRating(totalRating / ratedCount).toFixed(1) : '-';
+        // Completion counts finished games only; dropped and in-progress games don't count
+        const completionPercentage = this.games.length > 0
+            ? ((statusCounts.completed / this.games.length) * 100).toFixed(0) + '%'
+            : '0%';
+
+        const genreHours = Object.entries(hoursByGenre)
+            .map(([genre, hours]) => ({ genre, hours }))
+            .sort((a, b) => b.hours - a.hours || a.genre.localeCompare(b.genre))
+            .slice(0, PLAYTIME_GENRE_ROWS);
+
+        return {
+            playedCount, unplayedCount, avgRating, completionPercentage, statusCounts,
+            hoursPlayed, ownedCount, ownedUnplayedCount, genreHours
+        };
+    }
+
+    // Insights
+    // Average rating and completion for each genre, decade or theme
+    getGroupInsights(facet) {
+        const groups = {};
+        this.games.forEach(game => {
+            const progress = this.getGameProgress(game.id);
+            this.getFacetValues(facet, game).forEach(value => {
+                const group = groups[value] = groups[value] || { value, count: 0, completed: 0, ratingTotal: 0, ratedCount: 0 };
+                group.count++;
+                if (progress.status === 'completed') group.completed++;
+                if (this.isPlayed(progress) && progress.rating > 0) {
+                    group.ratingTotal += progress.rating;
+                    group.ratedCount++;
+                }
+            });
+        });
+
+        return Object.values(groups).map(group => ({
+            ...group,
+            avgRating: group.ratedCount > 0 ? group.ratingTotal / group.ratedCount : 0,
+            completion: group.completed / group.count
+        }));
+    }
+
+    // Histogram buckets for the chosen scale; whole stars also hold the half star above them
+    getRatingBuckets() {
+        const scale = this.settings.ratingScale;
+        if (scale === 'stars') {
+            return [1, 2, 3, 4, 5].map(rating => ({
+                min: rating === 1 ? 0.5 : rating,
+                max: rating + 0.5,
+                label: `${rating}★`,
+                description: `${rating} to ${rating + 0.5} stars`,
+                query: `${rating}..${rating + 0.5}`
+            }));
+        }
+
+        return Array.from({ length: 10 }, (_, index) => {
+            const rating = (index + 1) / 2;
+            const display = this.toDisplayRating(rating);
+            return {
+                min: rating,
+                max: rating,
+                label: scale === 'ten' ? String(display) : `${display}★`,
+                description: this.formatRating(rating),
+                query: String(display)
+            };
+        });
+    }
+
+    // How much each theme pulls ratings up or down, from -1 (all 1 star) to +1 (all 5 stars)
+    getThemeAffinity() {
+        const themes = {};
+        this.games.forEach(game => {
+            const progress = this.getGameProgress(game.id);
+            if (!this.isPlayed(progress) || progress.rating === 0) return;
+            game.themes.forEach(theme => {
+                (themes[theme] = themes[theme] || []).push(this.getRatingWeight(progress.rating));
+            });
+        });
+
+        return Object.entries(themes)
+            .map(([theme, weights]) => ({
+                theme,
+                count: weights.length,
+                affinity: weights.reduce((sum, weight) => sum + weight, 0) / weights.length
+            }))
+            .sort((a, b) => b.affinity - a.affinity || b.count - a.count);
+    }
+
+    // When a completed game was marked completed, as an ISO date; '' for other games
+    getCompletedDate(progress) {
+        return progress.status === 'completed' ? progress.statusUpdatedAt || progress.playedAt || '' : '';
+    }
+
+    // Completed games per month, using the date the game was marked completed
+    getFinishedTimeline() {
+        const months = {};
+        this.games.forEach(game => {
+            const date = this.getCompletedDate(this.getGameProgress(game.id));
+            if (!date) return;
+            const month = date.slice(0, 7);
+            months[month] = (months[month] || 0) + 1;
+        });
+
+        const keys = Object.keys(months).sort();
+        if (keys.length === 0) return [];
+
+        // Fill in empty months so gaps show up on the chart
+        const timeline = [];
+        let [year, month] = keys[0].split('-').map(Number);
+        const last = keys[keys.length - 1];
+        for (let key = keys[0]; key <= last; key = `${year}-${String(month).padStart(2, '0')}`) {
+            timeline.push({ month: key, count: months[key] || 0 });
+            month++;
+            if (month > 12) {
+                month = 1;
+                year++;
+            }
+        }
+        return timeline.slice(-INSIGHT_TIMELINE_MONTHS);
+    }
+
+    renderInsights() {
+        const container = document.getElementById('insights-grid');
+        const ratingBuckets = this.getRatingBuckets();
+        const ratingCounts = ratingBuckets.map(bucket => this.games.filter(game => {
+            const progress = this.getGameProgress(game.id);
+            return this.isPlayed(progress) && progress.rating >= bucket.min && progress.rating <= bucket.max;
+        }).length);
+
+        const byCount = (a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value));
+        const groupRows = (facet, sort) => this.getGroupInsights(facet)
+            .sort(sort)
+            .slice(0, INSIGHT_CHART_ROWS)
+            .map(group => ({
+                label: group.value,
+                tooltip: `${group.value}: ${group.count} ${group.count === 1 ? 'game' : 'games'}, ` +
+                    `${group.ratedCount > 0 ? `average ${group.avgRating.toFixed(1)} stars` : 'none rated'}, ` +
+                    `${Math.round(group.completion * 100)}% completed`,
+                facet,
+                value: group.value,
+                bars: [
+                    { value: group.avgRating / 5, text: group.ratedCount > 0 ? group.avgRating.toFixed(1) : '–', className: 'bar-rating' },
+                    { value: group.completion, text: `${Math.round(group.completion * 100)}%`, className: 'bar-completion' }
+                ]
+            }));
+
+        const affinity = this.getThemeAffinity();
+        const timeline = this.getFinishedTimeline();
+        const monthFormat = { month: 'short', year: '2-digit' };
+
+        const charts = [
+            {
+                title: 'Rating Distribution',
+                empty: ratingCounts.every(count => count === 0) && 'Rate some games to see how your ratings spread out.',
+                body: () => this.createColumnChart(ratingBuckets.map((bucket, index) => ({
+                    label: bucket.label,
+                    count: ratingCounts[index],
+                    tooltip: `${ratingCounts[index]} ${ratingCounts[index] === 1 ? 'game' : 'games'} rated ${bucket.description}`,
+                    facet: 'rating',
+                    value: bucket.query
+                })))
+            },
+            {
+                title: 'By Genre',
+                legend: true,
+                body: () => this.createBarChart(groupRows('genres', byCount))
+            },
+            {
+                title: 'By Decade',
+                legend: true,
+                body: () => this.createBarChart(groupRows('decades', (a, b) => a.value.localeCompare(b.value)))
+            },
+            {
+                title: 'By Theme',
+                legend: true,
+                body: () => this.createBarChart(groupRows('themes', byCount))
+            },
+            {
+                title: 'Theme Affinity',
+                empty: affinity.length === 0 && 'Rate some games to see which themes you love or avoid.',
+                body: () => this.createBarChart(affinity.slice(0, INSIGHT_CHART_ROWS).map(({ theme, count, affinity: value }) => ({
+                    label: theme,
+                    tooltip: `${theme}: ${this.formatContribution(value)} across ${count} rated ${count === 1 ? 'game' : 'games'}`,
+                    facet: 'themes',
+                    value: theme,
+                    bars: [{ value, text: this.formatContribution(value), className: value < 0 ? 'bar-negative' : 'bar-positive' }]
+                })), { diverging: true })
+            },
+            {
+                title: 'Games Finished Over Time',
+                empty: timeline.length === 0 && 'Complete some games to see your progress over time.',
+                body: () => this.createColumnChart(timeline.map(({ month, count }) => {
+                    const label = new Date(`${month}-01T00:00:00`).toLocaleDateString(undefined, monthFormat);
+                    return {
+                        label,
+                        count,
+                        tooltip: `${count} ${count === 1 ? 'game' : 'games'} completed in ${label}`,
+                        facet: 'completed',
+                        value: month
+                    };
+                }))
+            }
+        ];
+
+        container.innerHTML = charts.map(chart => html`
+            <div class="insight-card">
+                <h3>${chart.title}</h3>
+                ${chart.empty ? html`<p class="insight-empty">${chart.empty}</p>` : html`
+                    ${chart.legend ? html`
+                        <div class="chart-legend">
+                            <span class="legend-rating">Average rating</span>
+                            <span class="legend-completion">Completed</span>
+                        </div>
+                    ` : ''}
+                    ${chart.body()}
+                `}
+            </div>
+        `).join('');
+    }
+
+    // Horizontal bars, one row per group; `diverging` centers the axis for -1 to +1 values
+    createBarChart(rows, { diverging = false } = {}) {
+        const width = 400;
+        const labelWidth = 130;
+        const barArea = 210;
+        const barHeight = 8;
+        const rowHeight = rows.length > 0 ? rows[0].bars.length * (barHeight + 2) + 10 : 0;
+        const zero = labelWidth + (diverging ? barArea / 2 : 0);
+        const scale = diverging ? barArea / 2 : barArea;
+        const truncate = label => String(label).length > 18 ? `${String(label).slice(0, 17)}…` : label;
+
+        const segments = rows.map((row, index) => {
+            const y = index * rowHeight;
+            const bars = row.bars.map((bar, barIndex) => {
+                const length = Math.abs(bar.value) * scale;
+                const x = bar.value < 0 ? zero - length : zero;
+                const barY = y + 5 + barIndex * (barHeight + 2);
+                const textX = bar.value < 0 ? zero + 4 : zero + length + 4;
+                return html`
+                    <rect class="chart-bar ${bar.className}" x="${x}" y="${barY}" width="${length}" height="${barHeight}" rx="2"></rect>
+                    <text class="chart-value" x="${textX}" y="${barY + barHeight - 1}">${bar.text}</text>
+                `;
+            });
+
+            return html`
+                <g class="chart-segment" data-facet="${row.facet}" data-value="${encodeURIComponent(row.value)}"
+                   tabindex="0" role="button" aria-label="${row.tooltip}. Show these games">
+                    <title>${row.tooltip}</title>
+                    <rect class="chart-hit" x="0" y="${y}" width="${width}" height="${rowHeight}"></rect>
+                    <text class="chart-label" x="${labelWidth - 8}" y="${y + rowHeight / 2 + 4}" text-anchor="end">${truncate(row.label)}</text>
+                    ${bars}
+                </g>
+            `;
+        });
+
+        const axis = diverging
+            ? html`<line class="chart-axis" x1="${zero}" y1="0" x2="${zero}" y2="${rows.length * rowHeight}"></line>`
+            : '';
+
+        return html`
+            <svg class="insight-chart" viewBox="0 0 ${width} ${rows.length * rowHeight}" role="img">
+                ${axis}
+                ${segments}
+            </svg>
+        `;
+    }
+
+    // Vertical columns, e.g. the rating histogram and the monthly timeline
+    createColumnChart(columns) {
+        const width = 400;
+        const height = 160;
+        const chartHeight = height - 30;
+        const slot = width / columns.length;
+        const columnWidth = Math.min(48, slot * 0.7);
+        const max = Math.max(1, ...columns.map(column => column.count));
+        // Label every column when they fit, otherwise every few
+        const labelEvery = Math.ceil(columns.length / 12);
+
+        const segments = columns.map((column, index) => {
+            const barHeight = (column.count / max) * (chartHeight - 16);
+            const x = index * slot + (slot - columnWidth) / 2;
+            const y = chartHeight - barHeight;
+            return html`
+                <g class="chart-segment" data-facet="${column.facet}" data-value="${encodeURIComponent(column.value)}"
+                   tabindex="0" role="button" aria-label="${column.tooltip}. Show these games">
+                    <title>${column.tooltip}</title>
+                    <rect class="chart-hit" x="${index * slot}" y="0" width="${slot}" height="${height}"></rect>
+                    <rect class="chart-bar bar-column" x="${x}" y="${y}" width="${columnWidth}" height="${barHeight}" rx="3"></rect>
+                    ${column.count > 0 ? html`<text class="chart-value" x="${x + columnWidth / 2}" y="${y - 4}" text-anchor="middle">${column.count}</text>` : ''}
+                    ${index % labelEvery === 0 ? html`<text class="chart-label" x="${x + columnWidth / 2}" y="${height - 10}" text-anchor="middle">${column.label}</text>` : ''}
+                </g>
+            `;
+        });
+
+        return html`
+            <svg class="insight-chart" viewBox="0 0 ${width} ${height}" role="img">
+                <line class="chart-axis" x1="0" y1="${chartHeight}" x2="${width}" y2="${chartHeight}"></line>
+                ${segments}
+            </svg>
+        `;
+    }
+
+    // Clear every facet, the search and the list filter, so a shortcut can show an exact set of games
+    clearFilters() {
+        Object.keys(FACETS).forEach(key => {
+            this.filters[key] = [];
+        });
+        this.filters.search = '';
+        this.filters.list = '';
+        document.getElementById('search-input').value = '';
+        document.getElementById('list-filter').value = '';
+    }
+
+    // Clicking a chart segment shows exactly the games behind it in the grid
+    applyInsightFilter(facet, value) {
+        this.clearFilters();
+        // Ratings and completion months have no facet, so they become a search instead
+        const searchField = ['rating', 'completed'].includes(facet);
+        this.filters.search = searchField ? `${facet}:${value}` : '';
+        document.getElementById('search-input').value = this.filters.search;
+
+        if (!searchField) {
+            this.filters[facet] = [value];
+        }
+
+        this.showView('');
+        document.getElementById('games-view').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    // Recommendation System
+    // Played games with a rating, which recommendations are based on
+    getRatedGames() {
+        return this.games.filter(game => {
+            const progress = this.getGameProgress(game.id);
+            return this.isPlayed(progress) && progress.rating > 0;
+        });
+    }
+
+    generateRecommendations() {
+        const ratedGames = this.getRatedGames();
+
+        // Need at least 2 rated games for recommendations
+        if (ratedGames.length < 2) {
+            return [];
+        }
+
+        // Era preference comes from highly rated games (4-5 stars), or 3+ stars if there are none
+        const highlyRatedGames = ratedGames.filter(game => {
+            const progress = this.getGameProgress(game.id);
+            return progress.rating >= 4;
+        });
+
+        const preferredGames = highlyRatedGames.length > 0
+            ? highlyRatedGames
+            : ratedGames.filter(game => this.getGameProgress(game.id).rating >= 3);
+
+        if (preferredGames.length === 0) {
+            return [];
+        }
+
+        // Every rating teaches the recommender: 5 stars pulls hardest, 1 star pushes away.
+        // Samples remember their source game so each score can name the games behind it.
+        const genreSamples = {};
+        const themeSamples = {};
+        const seriesSamples = {};
+        const developerSamples = {};
+        const addSample = (game, weight) => {
+            (genreSamples[game.genre] = genreSamples[game.genre] || []).push({ game, weight });
+            game.themes.forEach(theme => {
+                (themeSamples[theme] = themeSamples[theme] || []).push({ game, weight });
+            });
+            if (game.series) {
+                (seriesSamples[game.series] = seriesSamples[game.series] || []).push({ game, weight });
+            }
+            if (game.developer) {
+                (developerSamples[game.developer] = developerSamples[game.developer] || []).push({ game, weight });
+            }
+        };
+
+        ratedGames.forEach(game => {
+            addSample(game, this.getRatingWeight(this.getGameProgress(game.id).rating));
+        });
+
+        const options = this.settings.recommendations;
+
+        // Dropped games count against their genre and themes
+        if (options.avoidDroppedTastes) {
+            this.games
+                .filter(game => this.getGameProgress(game.id).status === 'dropped')
+                .forEach(game => addSample(game, -0.5));
+        }
+
+        const genreScales = this.getWeightScales(genreSamples);
+        const themeScales = this.getWeightScales(themeSamples);
+        const seriesScales = this.getWeightScales(seriesSamples);
+        const developerScales = this.getWeightScales(developerSamples);
+
+        // Get unplayed games, plus any statuses the user opted into
+        const suggestible = ['none'];
+        if (options.includeWishlist) suggestible.push('wishlist');
+        if (options.includeBacklog) suggestible.push('backlog');
+        if (options.includeDropped) suggestible.push('dropped');
+
+        const unplayedGames = this.games.filter(game => {
+            const progress = this.getGameProgress(game.id);
+            return suggestible.includes(progress.status || 'none') &&
+                !this.dismissedRecommendations.includes(game.id);
+        });
+
+        const avgYear = preferredGames.reduce((sum, g) => sum + g.year, 0) / preferredGames.length;
+
+        // Score each unplayed game, keeping the breakdown that explains it
+        const scoredGames = unplayedGames.map(game => {
+            const sources = new Map();
+            const addContribution = (samples, scale, multiplier) => {
+                (samples || []).forEach(sample => {
+                    const contribution = sample.weight * scale * multiplier;
+                    sources.set(sample.game, (sources.get(sample.game) || 0) + contribution);
+                });
+                return (samples || []).reduce((sum, sample) => sum + sample.weight, 0) * scale * multiplier;
+            };
+
+            // Genre matching (higher weight)
+            const genre = addContribution(genreSamples[game.genre], genreScales[game.genre], 2);
+
+            // Theme matching
+            const themes = {};
+            game.themes.forEach(theme => {
+                if (themeSamples[theme]) {
+                    themes[theme] = addContribution(themeSamples[theme], themeScales[theme], 1);
+                }
+            });
+            const themeTotal = Object.values(themes).reduce((sum, value) => sum + value, 0);
+
+            // Other games in a series you rated, or from the same studio (a series match already implies it)
+            const series = game.series
+                ? addContribution(seriesSamples[game.series], seriesScales[game.series], 1.5)
+                : 0;
+            const developer = game.developer && !seriesSamples[game.series]
+                ? addContribution(developerSamples[game.developer], developerScales[game.developer], 0.75)
+                : 0;
+
+            // Bonus for games from similar time periods
+            const yearDiff = Math.abs(game.year - avgYear);
+            let era = 0;
+            if (yearDiff <= 5) {
+                era = 1;
+            } else if (yearDiff <= 10) {
+                era = 0.5;
+            }
+
+            return {
+                game,
+                score: genre + themeTotal + series + developer + era,
+                breakdown: { genre, themes, series, developer, era, avgYear: Math.round(avgYear) },
+                sources: [...sources]
+                    .map(([source, contribution]) => ({ game: source, contribution }))
+                    .filter(source => Math.abs(source.contribution) >= 0.01)
+                    .sort((a, b) => Math.abs(b.contribution) - Math.abs(a.contribution))
+            };
+        });
+
+        // Sort by score, then spread genres out across the top picks
+        scoredGames.sort((a, b) => b.score - a.score);
+
+        return this.diversifyRecommendations(scoredGames.filter(item => item.score > 0));
+    }
+
+    // Map a 1-5 star rating onto -1 (disliked) to +1 (loved); 3 stars is neutral
+    getRatingWeight(rating) {
+        return (rating - 3) / 2;
+    }
+
+    // Damp each attribute by how often it was rated, so one heavily rated genre can't
+    // drown out the rest, then scale so the strongest attribute is worth exactly 1.
+    // Returns the factor each sample is multiplied by, so scores split back into sources.
+    getWeightScales(samples) {
+        const totals = {};
+        Object.entries(samples).forEach(([key, values]) => {
+            totals[key] = values.reduce((sum, sample) => sum + sample.weight, 0) / Math.sqrt(values.length);
+        });
+
+        const strongest = Math.max(0, ...Object.values(totals).map(Math.abs)) || 1;
+        const scales = {};
+        Object.entries(samples).forEach(([key, values]) => {
+            scales[key] = 1 / (Math.sqrt(values.length) * strongest);
+        });
+        return scales;
+    }
+
+    // Greedy re-rank: each game already picked from a genre discounts the next one from it
+    diversifyRecommendations(scoredGames) {
+        const queues = {};
+        scoredGames.forEach(item => {
+            (queues[item.game.genre] = queues[item.game.genre] || []).push(item);
+        });
+
+        const picked = [];
+        const pickedPerGenre = {};
+        while (picked.length < scoredGames.length) {
+            let bestGenre = null;
+            let bestScore = -Infinity;
+
+            Object.entries(queues).forEach(([genre, queue]) => {
+                if (queue.length === 0) return;
+                const adjusted = queue[0].score *
+                    Math.pow(RECOMMENDATION_DIVERSITY_PENALTY, pickedPerGenre[genre] || 0);
+                if (adjusted > bestScore) {
+                    bestScore = adjusted;
+                    bestGenre = genre;
+                }
+            });
+
+            picked.push(queues[bestGenre].shift());
+            pickedPerGenre[bestGenre] = (pickedPerGenre[bestGenre] || 0) + 1;
+        }
+        return picked;
+    }
+
+    updateRecommendations() {
+        const recommendations = this.generateRecommendations();
+        const section = document.getElementById('recommendations-section');
+        const grid = document.getElementById('recommendations-grid');
+        const dismissedCount = this.dismissedRecommendations.length;
+
+        // Once there are ratings to go on, the section and its options stay, even with nothing to suggest,
+        // so options that emptied the list can be changed back
+        if (recommendations.length === 0 && dismissedCount === 0 && this.getRatedGames().length < 2) {
+            section.style.display = 'none';
+            return;
+        }
+
+        section.style.display = 'block';
+
+        // Refresh moves past the suggestions already seen, wrapping back to the best ones
+        if (this.recommendationOffset >= recommendations.length) {
+            this.recommendationOffset = 0;
+        }
+        const end = this.recommendationOffset + this.recommendationCount;
+        const shown = recommendations.slice(this.recommendationOffset, end);
+
+        grid.innerHTML = shown.length > 0
+            ? shown.map(recommendation => this.createRecommendationCard(recommendation)).join('')
+            : html`
+                <div class="empty-state">
+                    <h3>No more suggestions right now</h3>
+                    <p>Rate more games, suggest more kinds of games above${dismissedCount > 0 ? ', or restore the ones you dismissed' : ''}</p>
+                </div>
+            `;
+
+        document.getElementById('refresh-recommendations').disabled = recommendations.length <= this.recommendationCount;
+        document.getElementById('show-more-recommendations').disabled = end >= recommendations.length;
+
+        const restoreButton = document.getElementById('restore-recommendations');
+        restoreButton.hidden = dismissedCount === 0;
+        restoreButton.textContent = `Restore ${dismissedCount} dismissed`;
+    }
+
+    refreshRecommendations() {
+        this.recommendationOffset += this.recommendationCount;
+        this.recommendationCount = RECOMMENDATION_PAGE_SIZE;
+        this.updateRecommendations();
+    }
+
+    showMoreRecommendations() {
+        this.recommendationCount += RECOMMENDATION_PAGE_SIZE;
+        this.updateRecommendations();
+    }
+
+    // "Not interested" hides a game from recommendations until restored
+    dismissRecommendation(gameId) {
+        if (this.dismissedRecommendations.includes(gameId)) return;
+        this.dismissedRecommendations.push(gameId);
+        this.saveProgress();
+    }
+
+    restoreDismissedRecommendations() {
+        this.dismissedRecommendations = [];
+        this.saveProgress();
+    }
+
+    createRecommendationCard({ game, breakdown, sources }) {
+        const matchReason = this.getMatchReason(game, breakdown);
+
+        return html`
+            <div class="recommendation-card" data-game-id="${game.id}" tabindex="0" aria-label="Recommended: ${game.title}">
+                <div class="recommendation-badge">Recommended</div>
+                <button class="recommendation-dismiss" data-game-id="${game.id}"
+                        title="Not interested" aria-label="Not interested in ${game.title}">&times;</button>
+                <h3 class="game-title">${game.title}</h3>
+                <div class="game-meta">
+                    <span class="game-year">${game.year}</span>
+                    <span class="game-genre">${game.genre}</span>
+                    ${game.custom ? html`<span class="custom-badge">Custom</span>` : ''}
+                </div>
+                <div class="game-themes">
+                    ${game.themes.slice(0, 3).map(theme => html`<span class="theme-tag">${theme}</span>`)}
+                </div>
+                <div class="match-reasons">
+                    <p class="match-text">${matchReason}</p>
+                    ${this.createRecommendationExplanation(game, breakdown, sources)}
+                </div>
+            </div>
+        `;
+    }
+
+    // Headline reason: whichever part of the score contributed most
+    getMatchReason(game, breakdown) {
+        const likedThemes = Object.entries(breakdown.themes)
+            .filter(([, value]) => value > 0)
+            .sort((a, b) => b[1] - a[1])
+            .map(([theme]) => theme);
+        const themeTotal = likedThemes.reduce((sum, theme) => sum + breakdown.themes[theme], 0);
+
+        const parts = [
+            { value: breakdown.genre, text: `Similar to ${game.genre} games you enjoyed` },
+            { value: themeTotal, text: `Matches your interest in ${likedThemes.slice(0, 2).join(' & ')}` },
+            { value: breakdown.series, text: `More from the ${game.series} series you enjoyed` },
+            { value: breakdown.developer, text: `From ${game.developer}, who made games you enjoyed` },
+            { value: breakdown.era, text: `From the era of your favorite games (around ${breakdown.avgYear})` }
+        ].filter(part => part.value > 0);
+
+        if (parts.length === 0) return 'Based on your ratings';
+        return parts.sort((a, b) => b.value - a.value)[0].text;
+    }
+
+    // "Why this?" panel: the score split into genre, themes, series, developer and era, plus the rated games behind it
+    createRecommendationExplanation(game, breakdown, sources) {
+        const themes = Object.entries(breakdown.themes)
+            .map(([theme, value]) => `${theme} ${this.formatContribution(value)}`)
+            .join(', ');
+
+        const rows = [
+            [`Genre (${game.genre})`, breakdown.genre],
+            [themes ? `Themes (${themes})` : 'Themes', Object.values(breakdown.themes).reduce((sum, v) => sum + v, 0)],
+            // Series and developer only count for games that have them, so only show them then
+            ...(breakdown.series ? [[`Series (${game.series})`, breakdown.series]] : []),
+            ...(breakdown.developer ? [[`Developer (${game.developer})`, breakdown.developer]] : []),
+            [`Era (near ${breakdown.avgYear})`, breakdown.era]
+        ];
+
+        const describeSource = ({ game: source, contribution }) => {
+            const progress = this.getGameProgress(source.id);
+            const detail = progress.rating > 0
+                ? html`<span class="why-stars">${this.createStarDisplay(progress.rating)}</span>`
+                : PLAY_STATUSES[progress.status];
+            return html`<li>${source.title} ${detail} <span class="why-value">${this.formatContribution(contribution)}</span></li>`;
+        };
+
+        const boosts = sources.filter(source => source.contribution > 0).slice(0, 3);
+        const drags = sources.filter(source => source.contribution < 0).slice(0, 2);
+
+        return html`
+            <details class="why-this">
+                <summary>Why this?</summary>
+                <ul class="why-breakdown">
+                    ${rows.map(([label, value]) => html`
+                        <li><span>${label}</span> <span class="why-value">${this.formatContribution(value)}</span></li>
+                    `)}
+                </ul>
+                ${boosts.length > 0 ? html`
+                    <p class="why-heading">Because you rated</p>
+                    <ul class="why-sources">${boosts.map(describeSource)}</ul>
+                ` : ''}
+                ${drags.length > 0 ? html`
+                    <p class="why-heading">Held back by</p>
+                    <ul class="why-sources">${drags.map(describeSource)}</ul>
+                ` : ''}
+            </details>
+        `;
+    }
+
+    formatContribution(value) {
+        return `${value < 0 ? '−' : '+'}${Math.abs(value).toFixed(1)}`;
+    }
+
+    // Similar Games
+    // Scores how alike two games are from catalog fields alone, so it needs no ratings
+    getGameSimilarity(game, other) {
+        let score = 0;
+        const reasons = [];
+
+        if (game.genre === other.genre) {
+            score += SIMILARITY_WEIGHTS.genre;
+            reasons.push(`Also ${other.genre}`);
+        } else if (this.getGenreWords(game.genre).some(word => this.getGenreWords(other.genre).includes(word))) {
+            // e.g. "Action RPG" and "RPG", or "Hero Shooter" and "Tactical Shooter"
+            score += SIMILARITY_WEIGHTS.genre / 2;
+            reasons.push(`Related genre: ${other.genre}`);
+        }
+
+        const sharedThemes = game.themes.filter(theme => other.themes.includes(theme));
+        if (sharedThemes.length > 0) {
+            const allThemes = new Set([...game.themes, ...other.themes]);
+            score += SIMILARITY_WEIGHTS.themes * sharedThemes.length / allThemes.size;
+            reasons.push(`Shares ${sharedThemes.slice(0, 3).join(', ')}`);
+        }
+
+        if (game.series && game.series === other.series) {
+            score += SIMILARITY_WEIGHTS.series;
+            reasons.push(`Also in the ${other.series} series`);
+        } else if (game.developer && game.developer === other.developer) {
+            score += SIMILARITY_WEIGHTS.developer;
+            reasons.push(`Also by ${other.developer}`);
+        }
+
+        // Era only breaks ties between games that already have something in common
+        if (score === 0) return { score: 0, reasons: [] };
+
+        const yearDiff = Math.abs(game.year - other.year);
+        if (yearDiff < SIMILAR_YEAR_RANGE) {
+            score += SIMILARITY_WEIGHTS.year * (1 - yearDiff / SIMILAR_YEAR_RANGE);
+            reasons.push(yearDiff === 0 ? 'Same year' : `${yearDiff} ${yearDiff === 1 ? 'year' : 'years'} apart`);
+        }
+
+        return { score, reasons };
+    }
+
+    getGenreWords(genre) {
+        return genre.toLowerCase().split(/[\s-]+/).filter(Boolean);
+    }
+
+    getSimilarGames(game, limit = SIMILAR_GAMES_LIMIT) {
+        return this.games
+            .filter(other => other.id !== game.id)
+            .map(other => ({ game: other, ...this.getGameSimilarity(game, other) }))
+            .filter(item => item.score > 0)
+            .sort((a, b) => b.score - a.score || a.game.title.localeCompare(b.game.title))
+            .slice(0, limit);
+    }
+
+    updateModalSimilar() {
+        const game = this.games.find(g => g.id === this.currentGameId);
+        const container = document.getElementById('similar-games');
+        const similar = game ? this.getSimilarGames(game) : [];
+
+        if (similar.length === 0) {
+            container.innerHTML = '<p class="similar-empty">No similar games in your collection yet.</p>';
+            return;
+        }
+
+        container.innerHTML = similar.map(({ game: other, reasons }) => html`
+            <button class="similar-game" data-game-id="${other.id}">
+                <span class="similar-game-title">${other.title}</span>
+                <span class="similar-game-meta">${other.year} · ${other.genre}</span>
+                <span class="similar-game-reasons">${reasons.join(' · ')}</span>
+            </button>
+        `).join('');
+    }
+
+    // Populate the custom game genre suggestions
+    populateGenreSuggestions() {
+        const genres = [...new Set(this.games.map(game => game.genre))].sort();
+        const genreSuggestions = document.getElementById('genre-suggestions');
+
+        // Rebuilt whenever custom games change
+        genreSuggestions.innerHTML = '';
+
+        genres.forEach(genre => {
+            const suggestion = document.createElement('option');
+            suggestion.value = genre;
+            genreSuggestions.appendChild(suggestion);
+        });
+    }
+
+    // Faceted Filtering
+    getFacetValues(facet, game) {
+        switch (facet) {
+            case 'genres':
+                return [game.genre];
+            case 'themes':
+                return game.themes;
+            case 'decades':
+                return [`${Math.floor(game.year / 10) * 10}s`];
+            case 'platforms': {
+                // The platform the user played on counts too, even if the catalog doesn't list it
+                const played = this.getGameProgress(game.id).platform;
+                const platforms = game.platforms || [];
+                return played && !platforms.includes(played) ? [...platforms, played] : platforms;
+            }
+            case 'statuses':
+                return [this.getGameProgress(game.id).status || 'none'];
+            case 'ownership':
+                return [this.getGameProgress(game.id).ownership || 'none'];
+            default:
+                return [];
+        }
+    }
+
+    // Build each facet's options from the loaded games
+    getFacetOptions(facet) {
+        if (facet === 'statuses') {
+            return Object.keys(PLAY_STATUSES);
+        }
+        if (facet === 'ownership') {
+            return [...Object.keys(OWNERSHIP_TYPES), 'none'];
+        }
+
+        const values = new Set();
+        this.games.forEach(game => {
+            this.getFacetValues(facet, game).forEach(value => values.add(value));
+        });
+        // Keep selections visible even if no game has them any more
+        this.filters[facet].forEach(value => values.add(value));
+
+        return [...values].sort((a, b) => a.localeCompare(b));
+    }
+
+    getFacetLabel(facet, value) {
+        if (facet === 'statuses') return PLAY_STATUSES[value];
+        if (facet === 'ownership') return OWNERSHIP_TYPES[value] || 'Not Owned';
+        return value;
+    }
+
+    toggleFacetValue(facet, value) {
+        const selected = this.filters[facet];
+        this.filters[facet] = selected.includes(value)
+            ? selected.filter(v => v !== value)
+            : [...selected, value];
+        this.renderGames();
+    }
+
+    resetFacet(facet) {
+        this.filters[facet] = [];
+        this.renderGames();
+    }
+
+    clearAllFacets() {
+        Object.keys(FACETS).forEach(facet => {
+            this.filters[facet] = [];
+        });
+        this.renderGames();
+    }
+
+    renderFacets() {
+        const panel = document.getElementById('facet-panel');
+
+        // Re-rendering replaces the checkboxes, so remember which one had focus
+        const focused = document.activeElement && panel.contains(document.activeElement)
+            ? document.activeElement.dataset
+            : null;
+        const focusKey = focused ? `${focused.facet}|${focused.value || focused.action}` : null;
+
+        const anySelected = Object.keys(FACETS).some(facet => this.filters[facet].length > 0);
+        document.getElementById('clear-facets').disabled = !anySelected;
+
+        const groups = Object.entries(FACETS).map(([facet, label]) => {
+            // Count against every other active filter, but not this facet's own selections
+            const counts = {};
+            this.applyFilters(this.games, facet).forEach(game => {
+                this.getFacetValues(facet, game).forEach(value => {
+                    counts[value] = (counts[value] || 0) + 1;
+                });
+            });
+
+            const selected = this.filters[facet];
+            let options = this.getFacetOptions(facet);
+            const expanded = this.expandedFacets.has(facet);
+            const collapsible = options.length > FACET_COLLAPSED_SIZE;
+
+            if (collapsible && !expanded) {
+                const top = [...options]
+                    .sort((a, b) => (counts[b] || 0) - (counts[a] || 0))
+                    .slice(0, FACET_COLLAPSED_SIZE);
+                options = options.filter(value => top.includes(value) || selected.includes(value));
+            }
+
+            const optionsHtml = options.map(value => {
+                const count = counts[value] || 0;
+                const isSelected = selected.includes(value);
+                return html`
+                    <label class="facet-option ${isSelected ? 'selected' : ''} ${count === 0 && !isSelected ? 'empty' : ''}">
+                        <input type="checkbox" data-facet="${facet}" data-value="${encodeURIComponent(value)}"
+                            ${isSelected ? 'checked' : ''} ${count === 0 && !isSelected ? 'disabled' : ''}>
+                        ${this.getFacetLabel(facet, value)}
+                        <span class="facet-count">${count}</span>
+                    </label>
+                `;
+            });
+
+            return html`
+                <div class="facet-group">
+                    <div class="facet-header">
+                        <h4>${label}${selected.length > 0 ? html` <span class="facet-selected-count">(${selected.length})</span>` : ''}</h4>
+                        ${selected.length > 0 ? html`<button class="facet-reset" data-facet="${facet}" data-action="reset">Reset</button>` : ''}
+                    </div>
+                    <div class="facet-options">${optionsHtml}</div>
+                    ${collapsible ? html`
+                        <button class="facet-toggle" data-facet="${facet}" data-action="toggle">
+                            ${expanded ? 'Show fewer' : `Show all ${this.getFacetOptions(facet).length}`}
+                        </button>` : ''}
+                </div>
+            `;
+        });
+
+        document.getElementById('facet-groups').innerHTML = groups.join('');
+
+        if (focusKey) {
+            const [facet, key] = focusKey.split('|');
+            const target = panel.querySelector(`[data-facet="${facet}"][data-value="${key}"]`) ||
+                panel.querySelector(`[data-facet="${facet}"][data-action="${key}"]`);
+            if (target) target.focus();
+        }
+    }
+
+    // Filter and Sort Games
+    getFilteredGames() {
+        const filtered = this.applyFilters(this.games);
+        return this.sortGames(filtered, this.getList(this.filters.list));
+    }
+
+    // Apply search, list and facet filters; `skipFacet` leaves one facet out
+    // so its options can be counted against everything else
+    applyFilters(games, skipFacet = null) {
+        let filtered = [...games];
+
+        // Search filter
+        const query = this.parseSearchQuery(this.filters.search);
+        this.searchErrors = query.errors;
+
+        if (query.structured) {
+            filtered = filtered.filter(game => this.matchesSearchQuery(game, query));
+        } else if (this.filters.search) {
+            const searchLower = this.filters.search.toLowerCase();
+            filtered = filtered.filter(game =>
+                game.title.toLowerCase().includes(searchLower) ||
+                game.genre.toLowerCase().includes(searchLower) ||
+                game.themes.some(theme => theme.toLowerCase().includes(searchLower))
+            );
+        }
+
+        // List filter
+        const list = this.getList(this.filters.list);
+        if (list) {
+            filtered = filtered.filter(game => list.gameIds.includes(game.id));
+        }
+
+        // Facet filters
+        Object.keys(FACETS).forEach(facet => {
+            const selected = this.filters[facet];
+            if (facet === skipFacet || selected.length === 0) return;
+            filtered = filtered.filter(game =>
+                this.getFacetValues(facet, game).some(value => selected.includes(value)));
+        });
+
+        return filtered;
+    }
+
+    // Sort a filtered set of games
+    sortGames(filtered, list) {
+        filtered.sort((a, b) => {
+            switch (this.filters.sortBy) {
+                case 'title':
+                    return a.title.localeCompare(b.title);
+                case 'year':
+                    return b.year - a.year;
+                case 'rating':
+                    const ratingA = this.getGameProgress(a.id).rating || 0;
+                    const ratingB = this.getGameProgress(b.id).rating || 0;
+                    return ratingB - ratingA;
+                case 'recent':
+                    // Games marked as played most recently appear first
+                    const progressA = this.getGameProgress(a.id);
+                    const progressB = this.getGameProgress(b.id);
+                    if (this.isPlayed(progressA) && !this.isPlayed(progressB)) return -1;
+                    if (!this.isPlayed(progressA) && this.isPlayed(progressB)) return 1;
+                    // Older progress saved before play dates existed sorts last
+                    return (Date.parse(progressB.playedAt) || 0) - (Date.parse(progressA.playedAt) || 0);
+                case 'length':
+                    // Shortest first; games without an estimate go last
+                    return (a.estimatedHours || Infinity) - (b.estimatedHours || Infinity) ||
+                        a.title.localeCompare(b.title);
+                case 'hours':
+                    // Most played first; games with no hours logged go last
+                    return (this.getGameProgress(b.id).hoursPlayed ?? -1) - (this.getGameProgress(a.id).hoursPlayed ?? -1) ||
+                        a.title.localeCompare(b.title);
+                case 'list':
+                    // Order within the filtered list; falls back to title with no list selected
+                    if (!list) return a.title.localeCompare(b.title);
+                    return list.gameIds.indexOf(a.id) - list.gameIds.indexOf(b.id);
+                default:
+                    return 0;
+            }
+        });
+
+        return filtered;
+    }
+
+    // Search Query Language
+    // Plain text keeps the original substring search; anything using fields,
+    // quotes, negation or OR is parsed into OR-separated groups of terms.
+    parseSearchQuery(query) {
+        const result = { structured: false, groups: [], errors: [] };
+        const text = (query || '').trim();
+        if (!text) return result;
+
+        const fieldPattern = new RegExp(`(^|\\s)-?(${[...SEARCH_FIELDS, ...Object.keys(SEARCH_FIELD_ALIASES)].join('|')}):`, 'i');
+        result.structured = fieldPattern.test(text) || /(^|\s)(OR|-\S)/.test(text) || text.includes('"');
+        if (!result.structured) return result;
+
+        let group = [];
+        let i = 0;
+
+        while (i < text.length) {
+            if (/\s/.test(text[i])) {
+                i++;
+                continue;
+            }
+
+            const start = i;
+            let negated = false;
+            if (text[i] === '-' && text[i + 1] && !/\s/.test(text[i + 1])) {
+                negated = true;
+                i++;
+            }
+
+            // Optional field prefix
+            let field = null;
+            const fieldMatch = /^([a-zA-Z]+):/.exec(text.slice(i));
+            if (fieldMatch) {
+                field = fieldMatch[1].toLowerCase();
+                field = SEARCH_FIELD_ALIASES[field] || field;
+                i += fieldMatch[0].length;
+            }
+
+            // Optional comparison operator
+            let op = '';
+            const opMatch = /^(>=|<=|>|<|=)/.exec(text.slice(i));
+            if (field && opMatch) {
+                op = opMatch[1];
+                i += op.length;
+            }
+
+            // Value: a quoted phrase or everything up to the next space
+            let value = '';
+            let quoted = false;
+            if (text[i] === '"') {
+                const end = text.indexOf('"', i + 1);
+                if (end < 0) {
+                    result.errors.push('A quoted phrase is missing its closing quote');
+                    value = text.slice(i + 1);
+                    i = text.length;
+                } else {
+                    value = text.slice(i + 1, end);
+                    i = end + 1;
+                }
+                quoted = true;
+            } else {
+                while (i < text.length && !/\s/.test(text[i])) {
+                    value += text[i++];
+                }
+            }
+
+            const raw = text.slice(start, i);
+
+            if (!field && !negated && !quoted && value === 'OR') {
+                if (group.length === 0) {
+                    result.errors.push('OR needs a search term on both sides');
+                } else {
+                    result.groups.push(group);
+                }
+                group = [];
+                continue;
+            }
+
+            const term = this.createSearchTerm(field, op, value, negated, raw, result.errors);
+            if (term) group.push(term);
+        }
+
+        if (group.length > 0) {
+            result.groups.push(group);
+        } else if (result.groups.length > 0) {
+            result.errors.push('OR needs a search term on both sides');
+        }
+
+        return result;
+    }
+
+    // Validate one term; returns null (and records an error) if it can't be used
+    createSearchTerm(field, op, value, negated, raw, errors) {
+        if (field && !SEARCH_FIELDS.includes(field)) {
+            const suggestion = SEARCH_FIELDS.find(known => this.getEditDistance(known, field) <= 2);
+            errors.push(`Unknown field "${field}:"${suggestion ? `, did you mean "${suggestion}:"?` : ''}`);
+            return null;
+        }
+
+        if (!value.trim()) {
+            errors.push(field ? `"${field}:" needs a value` : `"${raw}" needs a search term`);
+            return null;
+        }
+
+        const term = { field: field || 'text', op: op || '=', value: value.trim(), negated };
+
+        if (op && !NUMERIC_SEARCH_FIELDS.includes(term.field)) {
+            errors.push(`"${op}" only works with ${NUMERIC_SEARCH_FIELDS.map(f => `${f}:`).join(' and ')}`);
+            return null;
+        }
+
+        if (NUMERIC_SEARCH_FIELDS.includes(term.field)) {
+            const range = /^(\d+(?:\.\d+)?)\.\.(\d+(?:\.\d+)?)$/.exec(term.value);
+            if (range) {
+                term.min = Number(range[1]);
+                term.max = Number(range[2]);
+            } else if (isNaN(Number(term.value))) {
+                errors.push(`"${term.field}:" needs a number or a range like 2000..2010, not "${term.value}"`);
+                return null;
+            } else {
+                term.number = Number(term.value);
+            }
+        }
+
+        if (term.field === 'decade') {
+            const decade = /^(\d{3})0s?$/.exec(term.value);
+            if (!decade) {
+                errors.push(`"decade:" needs a decade like 1990s, not "${term.value}"`);
+                return null;
+            }
+            term.min = Number(decade[1]) * 10;
+            term.max = term.min + 9;
+        }
+
+        if (term.field === 'status') {
+            const status = term.value.toLowerCase().replace(/[\s-]+/g, '');
+            const known = [...Object.keys(PLAY_STATUSES), 'played', 'unplayed', 'notplayed'];
+            if (!known.includes(status)) {
+                errors.push(`Unknown status "${term.value}", try one of: ${Object.keys(PLAY_STATUSES).join(', ')}, played, unplayed`);
+                return null;
+            }
+            term.value = status === 'notplayed' ? 'unplayed' : status;
+        }
+
+        if (term.field === 'owned') {
+            const owned = term.value.toLowerCase();
+            const known = ['yes', 'no', ...Object.keys(OWNERSHIP_TYPES)];
+            if (!known.includes(owned)) {
+                errors.push(`"owned:" needs one of: ${known.join(', ')}, not "${term.value}"`);
+                return null;
+            }
+            term.value = owned;
+        }
+
+        if (term.field === 'completed' && !/^\d{4}(-(0[1-9]|1[0-2]))?$/.test(term.value)) {
+            errors.push(`"completed:" needs a month like 2024-05 or a year like 2024, not "${term.value}"`);
+            return null;
+        }
+
+        return term;
+    }
+
+    matchesSearchQuery(game, query) {
+        // With no usable terms (only errors), don't hide everything
+        if (query.groups.length === 0) return true;
+        return query.groups.some(group => group.every(term => this.matchesSearchTerm(game, term) !== term.negated));
+    }
+
+    matchesSearchTerm(game, term) {
+        const value = term.value.toLowerCase();
+        const progress = this.getGameProgress(game.id);
+        const compare = (number) => {
+            if (term.min !== undefined) return number >= term.min && number <= term.max;
+            switch (term.op) {
+                case '>': return number > term.number;
+                case '>=': return number >= term.number;
+                case '<': return number < term.number;
+                case '<=': return number <= term.number;
+                default: return number === term.number;
+            }
+        };
+
+        switch (term.field) {
+            case 'title':
+                return this.matchesTitle(game.title, value);
+            case 'genre':
+                return game.genre.toLowerCase().includes(value);
+            case 'theme':
+                return game.themes.some(theme => theme.toLowerCase().includes(value));
+            case 'year':
+                return compare(game.year);
+            case 'decade':
+                return game.year >= term.min && game.year <= term.max;
+            case 'rating':
+                // Numbers are in the units of the chosen scale, e.g. rating:>=8 on the 10-point scale
+                return compare(this.toDisplayRating(progress.rating || 0));
+            case 'status':
+                if (term.value === 'played') return this.isPlayed(progress);
+                if (term.value === 'unplayed') return !this.isPlayed(progress);
+                return (progress.status || 'none') === term.value;
+            case 'notes':
+                return (progress.journal || []).some(entry => entry.text.toLowerCase().includes(value));
+            case 'list':
+                return this.lists.some(list => list.name.toLowerCase().includes(value) && list.gameIds.includes(game.id));
+            case 'platform':
+                return (game.platforms || []).some(platform => platform.toLowerCase().includes(value));
+            case 'developer':
+            case 'publisher':
+            case 'series':
+                return (game[term.field] || '').toLowerCase().includes(value);
+            case 'hours':
+                // Games without an estimate never match a number
+                return game.estimatedHours !== undefined && compare(game.estimatedHours);
+            case 'owned':
+                if (term.value === 'yes') return this.isOwned(progress);
+                if (term.value === 'no') return !this.isOwned(progress);
+                return progress.ownership === term.value;
+            case 'playtime':
+                // Games with no hours logged count as 0, so playtime:0 finds them
+                return compare(progress.hoursPlayed || 0);
+            case 'completion': {
+                const percent = this.getCompletionPercent(progress);
+                return percent !== null && compare(percent);
+            }
+            case 'completed':
+                // Same month (or year) the Games Finished Over Time chart puts the game in
+                return this.getCompletedDate(progress).startsWith(term.value);
+            default:
+                return this.matchesTitle(game.title, value) ||
+                    game.genre.toLowerCase().includes(value) ||
+                    game.themes.some(theme => theme.toLowerCase().includes(value));
+        }
+    }
+
+    // Substring match, or every word within a small edit distance of a title word
+    matchesTitle(title, value) {
+        const lowerTitle = title.toLowerCase();
+        if (lowerTitle.includes(value)) return true;
+
+        const titleWords = lowerTitle.split(/[^a-z0-9]+/).filter(Boolean);
+        const words = value.split(/\s+/).filter(Boolean);
+        return words.length > 0 && words.every(word => {
+            const allowed = word.length <= 3 ? 0 : (word.length <= 6 ? 1 : 2);
+            return titleWords.some(titleWord => titleWord.startsWith(word) ||
+                (allowed > 0 && this.getEditDistance(word, titleWord) <= allowed));
+        });
+    }
+
+    // Levenshtein distance between two short strings
+    getEditDistance(a, b) {
+        if (Math.abs(a.length - b.length) > 2) return Math.abs(a.length - b.length);
+
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            }
+            previous = current;
+        }
+        return previous[b.length];
+    }
+
+    // Inline hints under the search bar for query errors or typo suggestions
+    updateSearchHint(resultCount) {
+        const hint = document.getElementById('search-hint');
+        const errors = this.searchErrors || [];
+
+        if (errors.length > 0) {
+            hint.className = 'search-hint error';
+            hint.textContent = errors.join(' · ');
+            return;
+        }
+
+        // A plain search with no results may just be a typo
+        const search = this.filters.search.trim().toLowerCase();
+        if (resultCount === 0 && search && !this.parseSearchQuery(search).structured) {
+            const suggestions = this.games
+                .filter(game => this.matchesTitle(game.title, search))
+                .slice(0, 3)
+                .map(game => `"${game.title}"`);
+            if (suggestions.length > 0) {
+                hint.className = 'search-hint';
+                hint.textContent = `Did you mean ${suggestions.join(', ')}? Try title:${search.split(/\s+/)[0]} for typo-tolerant matching.`;
+                return;
+            }
+        }
+
+        hint.className = 'search-hint';
+        hint.textContent = '';
+    }
+
+    // Shareable URL state
+    // The hash mirrors the search, facets, sort, list page and open game, e.g.
+    // #genre=RPG&genre=Strategy&sort=year&game=42, so it works on static hosting
+    getUrlState() {
+        const params = new URLSearchParams();
+        if (this.filters.search) params.set('q', this.filters.search);
+        Object.entries(URL_FACET_PARAMS).forEach(([facet, param]) => {
+            this.filters[facet].forEach(value => params.append(param, value));
+        });
+        if (this.filters.list) params.set('list', this.filters.list);
+        if (this.filters.sortBy !== 'title') params.set('sort', this.filters.sortBy);
+        if (this.getActiveViewId()) params.set('view', this.getActiveViewId());
+        if (this.currentGameId !== null) params.set('game', this.currentGameId);
+
+        const hash = params.toString();
+        return hash ? `#${hash}` : '';
+    }
+
+    // Read a hash back into filters, ignoring values that no longer apply
+    parseUrlState(hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const sortOptions = Array.from(document.getElementById('sort-by').options, option => option.value);
+        const sortBy = params.get('sort');
+        const list = params.get('list');
+        const gameId = parseInt(params.get('game'));
+
+        const filters = {
+            search: params.get('q') || '',
+            list: this.getList(list) ? list : '',
+            sortBy: sortOptions.includes(sortBy) ? sortBy : 'title'
+        };
+        Object.entries(URL_FACET_PARAMS).forEach(([facet, param]) => {
+            filters[facet] = [...new Set(params.getAll(param))];
+        });
+        filters.statuses = filters.statuses.filter(status => PLAY_STATUSES[status]);
+        filters.ownership = filters.ownership.filter(value => this.getFacetOptions('ownership').includes(value));
+
+        return {
+            filters,
+            view: params.get('view'),
+            gameId: this.games.some(g => g.id === gameId) ? gameId : null
+        };
+    }
+
+    // Restore the page from the current hash (initial load and back/forward)
+    applyUrlState() {
+        const { filters, view, gameId } = this.parseUrlState(window.location.hash);
+
+        this.applyingUrlState = true;
+        this.filters = filters;
+        document.getElementById('search-input').value = filters.search;
+        document.getElementById('list-filter').value = filters.list;
+        document.getElementById('sort-by').value = filters.sortBy;
+        this.showView(view);
+
+        if (gameId !== null) {
+            this.openGameModal(gameId);
+        } else if (this.currentGameId !== null) {
+            this.closeGameModal();
+        }
+        this.applyingUrlState = false;
+
+        // Drop anything from the hash that could not be restored
+        this.urlHash = this.getUrlState();
+        this.lastUrlChange = null;
+        if (this.urlHash !== window.location.hash) {
+            history.replaceState(history.state, '', this.urlHash || this.getUrlBase());
+        }
+    }
+
+    // Record the current view as a history entry; a run of search edits shares one entry
+    syncUrlState() {
+        if (this.applyingUrlState) return;
+
+        const hash = this.getUrlState();
+        if (hash === this.urlHash) return;
+
+        const change = this.isSearchOnlyChange(this.urlHash, hash) ? 'search' : 'view';
+        // Jumping from one open game to another keeps a single modal entry
+        const switchingGame = this.currentGameId !== null && new URLSearchParams(this.urlHash.replace(/^#/, '')).has('game');
+        const replace = (change === 'search' && this.lastUrlChange === 'search') || switchingGame;
+        const state = this.currentGameId !== null ? { gameId: this.currentGameId } : null;
+        history[replace ? 'replaceState' : 'pushState'](state, '', hash || this.getUrlBase());
+
+        this.urlHash = hash;
+        this.lastUrlChange = change;
+    }
+
+    isSearchOnlyChange(previousHash, hash) {
+        const withoutSearch = value => {
+            const params = new URLSearchParams(value.replace(/^#/, ''));
+            params.delete('q');
+            return params.toString();
+        };
+        return withoutSearch(previousHash) === withoutSearch(hash);
+    }
+
+    getUrlBase() {
+        return window.location.pathname + window.location.search;
+    }
+
+    // Render Games
+    renderGames() {
+        if (this.activeListId) {
+            this.renderListView();
+        }
+        this.syncUrlState();
+
+        const gamesGrid = document.getElementById('games-grid');
+        const filteredGames = this.getFilteredGames();
+
+        // Update game count
+        const gameCount = document.getElementById('game-count');
+        gameCount.textContent = `Showing ${filteredGames.length} of ${this.games.length} games`;
+        this.updateSearchHint(filteredGames.length);
+        this.renderFacets();
+
+        if (this.catalogError && this.games.length === 0) {
+            this.showError(this.catalogError);
+            return;
+        }
+
+        if (filteredGames.length === 0) {
+            this.gridGames = [];
+            gamesGrid.innerHTML = html`
+                <div class="empty-state">
+                    <h3>No games found</h3>
+                    <p>Try adjusting your filters</p>
+                </div>
+            `;
+            return;
+        }
+
+        this.gridGames = filteredGames;
+        this.renderGridWindow();
+    }
+
+    // Grid Rendering
+    // Cards are keyed by game id. Each render rebuilds the markup of the cards it needs, but only
+    // cards whose markup changed are replaced in the page, so rating one game touches one card.
+    // Grids larger than GRID_WINDOW_THRESHOLD hold just the rows around the viewport, between two
+    // spacers that stand in for the rows above and below.
+    renderGridWindow() {
+        const grid = document.getElementById('games-grid');
+
+        // An empty state or error replaced the cards; start again from the spacers alone
+        if (!this.gridSpacers || this.gridSpacers.top.parentElement !== grid) {
+            const createSpacer = () => {
+                const spacer = document.createElement('div');
+                spacer.className = 'grid-spacer';
+                spacer.setAttribute('aria-hidden', 'true');
+                return spacer;
+            };
+            this.gridSpacers = { top: createSpacer(), bottom: createSpacer() };
+            grid.replaceChildren(this.gridSpacers.top, this.gridSpacers.bottom);
+            this.gridCards = new Map();
+        }
+
+        const range = this.getGridWindow(grid);
+        const focusedCard = grid.contains(document.activeElement) ? document.activeElement.closest('.game-card') : null;
+
+        const cards = new Map();
+        this.gridGames.slice(range.start, range.end).forEach(game => {
+            const markup = String(this.createGameCard(game));
+            const existing = this.gridCards.get(game.id);
+            cards.set(game.id, existing && existing.markup === markup
+                ? existing
+                : { markup, element: this.createCardElement(markup) });
+        });
+
+        // Remove cards that left the window or were redrawn, then put each card right after the one
+        // before it, which leaves cards already in place untouched
+        this.gridCards.forEach((card, gameId) => {
+            if (cards.get(gameId) !== card) card.element.remove();
+        });
+        let previous = this.gridSpacers.top;
+        cards.forEach(card => {
+            if (previous.nextElementSibling !== card.element) previous.after(card.element);
+            previous = card.element;
+        });
+        this.gridCards = cards;
+        this.gridRange = range;
+
+        // A redrawn card takes over focus from the one it replaced
+        if (focusedCard && !focusedCard.isConnected) {
+            const card = cards.get(parseInt(focusedCard.dataset.gameId));
+            if (card) card.element.focus({ preventScroll: true });
+        }
+
+        const gap = parseFloat(getComputedStyle(grid).rowGap) || 0;
+        if (range.windowed) {
+            this.measureGridRows(grid, range, gap);
+        }
+        this.setSpacerHeight(this.gridSpacers.top, range.rowsAbove, gap);
+        this.setSpacerHeight(this.gridSpacers.bottom, range.rowsBelow, gap);
+    }
+
+    // Redraw one game's card in place. Only for changes that can't move the game in or out of the
+    // grid or to another place in it; a game outside the window is drawn fresh when scrolled to.
+    updateGameCard(gameId) {
+        const card = this.gridCards && this.gridCards.get(gameId);
+        if (!card || !card.element.isConnected) return;
+
+        const markup = String(this.createGameCard(this.games.find(game => game.id === gameId)));
+        if (markup === card.markup) return;
+
+        const element = this.createCardElement(markup);
+        const focused = card.element === document.activeElement;
+        card.element.replaceWith(element);
+        this.gridCards.set(gameId, { markup, element });
+        if (focused) element.focus({ preventScroll: true });
+    }
+
+    // After a rating change: the whole grid if the new rating can move the game (a new status
+    // changes the status filter and its counts, and the search or sort may read ratings),
+    // otherwise just the game's card
+    renderRatedGame(gameId, statusChanged = false) {
+        const ratingTerms = this.parseSearchQuery(this.filters.search).groups
+            .some(group => group.some(term => term.field === 'rating'));
+        if (statusChanged || ratingTerms || this.filters.sortBy === 'rating' || this.activeListId) {
+            this.renderGames();
+        } else {
+            this.updateGameCard(gameId);
+        }
+    }
+
+    // Games to render by index: every game in a small grid, otherwise whole rows from just
+    // above the viewport to just below it
+    getGridWindow(grid) {
+        const total = this.gridGames.length;
+        if (total <= GRID_WINDOW_THRESHOLD) {
+            return { start: 0, end: total, rowsAbove: 0, rowsBelow: 0, windowed: false };
+        }
+
+        const columns = this.getGridColumns(grid);
+        const rows = Math.ceil(total / columns);
+        const top = grid.getBoundingClientRect().top;
+        const firstRow = Math.min(rows - 1, Math.max(0, Math.floor(-top / this.gridRowHeight) - GRID_OVERSCAN_ROWS));
+        const lastRow = Math.min(rows - 1,
+            Math.max(firstRow, Math.ceil((window.innerHeight - top) / this.gridRowHeight) + GRID_OVERSCAN_ROWS));
+
+        return {
+            start: firstRow * columns,
+            end: Math.min(total, (lastRow + 1) * columns),
+            rowsAbove: firstRow,
+            rowsBelow: rows - lastRow - 1,
+            windowed: true
+        };
+    }
+
+    // Columns the grid lays out at its current width; a hidden grid counts as one column
+    getGridColumns(grid) {
+        const tracks = getComputedStyle(grid).gridTemplateColumns.split(' ').filter(track => /px$/.test(track));
+        return Math.max(1, tracks.length);
+    }
+
+    // Cards in a row stretch to the tallest one, and rows vary a little, so keep their average height
+    measureGridRows(grid, range, gap) {
+        const first = this.gridCards.get(this.gridGames[range.start].id);
+        const last = this.gridCards.get(this.gridGames[range.end - 1].id);
+        const rows = Math.ceil((range.end - range.start) / this.getGridColumns(grid));
+        const height = (last.element.getBoundingClientRect().bottom - first.element.getBoundingClientRect().top + gap) / rows;
+        if (height > 0) this.gridRowHeight = height;
+    }
+
+    // The grid adds a gap after the spacer like after any row, so the spacer itself is one gap shorter
+    setSpacerHeight(spacer, rows, gap) {
+        spacer.hidden = rows === 0;
+        spacer.style.height = rows > 0 ? `${rows * this.gridRowHeight - gap}px` : '';
+    }
+
+    createCardElement(markup) {
+        const template = document.createElement('template');
+        template.innerHTML = markup;
+        return template.content.firstElementChild;
+    }
+
+    // Scrolling and resizing move the window; at most one update per frame, and only when its rows change
+    scheduleGridWindow() {
+        if (this.gridFrame !== null || this.gridGames.length <= GRID_WINDOW_THRESHOLD) return;
+
+        this.gridFrame = requestAnimationFrame(() => {
+            this.gridFrame = null;
+            const range = this.getGridWindow(document.getElementById('games-grid'));
+            if (!this.gridRange || range.start !== this.gridRange.start || range.end !== this.gridRange.end) {
+                this.renderGridWindow();
+            }
+        });
+    }
+
+    // Focus a card by its place among the filtered games, scrolling its row into the window first if needed
+    focusGridCard(index) {
+        const game = this.gridGames[index];
+        if (!game) return;
+
+        if (!this.gridCards.has(game.id)) {
+            const grid = document.getElementById('games-grid');
+            const row = Math.floor(index / this.getGridColumns(grid));
+            const rowTop = grid.getBoundingClientRect().top + window.scrollY + row * this.gridRowHeight;
+            window.scrollTo(0, rowTop - (window.innerHeight - this.gridRowHeight) / 2);
+            this.renderGridWindow();
+        }
+
+        const card = this.gridCards.get(game.id);
+        if (card) card.element.focus();
+    }
+
+    createGameCard(game) {
+        const progress = this.getGameProgress(game.id);
+        const status = progress.status || 'none';
+        const statusClass = `${this.isPlayed(progress) ? 'played' : 'unplayed'} status-${status}`;
+        const statusText = PLAY_STATUSES[status];
+
+        const ratingStars = progress.rating > 0
+            ? this.createStarDisplay(progress.rating)
+            : html`<span style="color: var(--text-secondary); font-size: 0.85rem;">No rating</span>`;
+
+        const activityDates = [];
+        if (progress.playedAt) activityDates.push(`Played ${this.formatDate(progress.playedAt)}`);
+        if (progress.ratedAt) activityDates.push(`Rated ${this.formatDate(progress.ratedAt)}`);
+        const activity = activityDates.length > 0
+            ? html`<div class="game-activity">${activityDates.join(' · ')}</div>`
+            : '';
+
+        // Latest journal entry preview (truncated to 80 characters)
+        const latestEntry = this.getLatestJournalEntry(progress);
+        const notesPreview = latestEntry
+            ? html`<div class="notes-preview">
+                   <div class="notes-preview-label">Journal · ${this.formatDate(latestEntry.createdAt)}</div>
+                   <div class="notes-preview-text">${this.truncateText(this.getJournalPlainText(latestEntry.text), 80)}</div>
+               </div>`
+            : '';
+
+        return html`
+            <div class="game-card ${statusClass}" data-game-id="${game.id}" tabindex="0"
+                 aria-label="${game.title}, ${game.year}, ${statusText}${progress.rating > 0 ? `, rated ${this.formatRating(progress.rating)}` : ''}">
+                ${game.cover ? html`<img class="game-cover" src="${game.cover}" alt="" loading="lazy">` : ''}
+                <h3 class="game-title">${game.title}</h3>
+                <div class="game-meta">
+                    <span class="game-year">${game.year}</span>
+                    <span class="game-genre">${game.genre}</span>
+                    ${game.estimatedHours ? html`<span class="game-length" title="Estimated time to finish">${this.formatHours(game.estimatedHours)}</span>` : ''}
+                    ${game.custom ? html`<span class="custom-badge">Custom</span>` : ''}
                 </div>
+                ${this.createGameCredits(game)}
                 <div class="game-themes">
-                    ${game.themes.map(theme => `<span class="theme-tag">${theme}</span>`).join('')}
+                    ${game.themes.map(theme => html`<span class="theme-tag">${theme}</span>`)}
                 </div>
+                ${this.createGamePlaytime(progress)}
                 ${notesPreview}
                 <div class="game-status">
                     <span class="status-badge ${statusClass}">${statusText}</span>
                     <div class="game-rating">${ratingStars}</div>
                 </div>
+                ${activity}
+            </div>
+        `;
+    }
+
+    // "Developer · Platform, Platform" under a card's title, when the game has them
+    createGameCredits(game) {
+        const parts = [game.developer, game.platforms && game.platforms.join(', ')].filter(Boolean);
+        return parts.length > 0 ? html`<div class="game-credits">${parts.join(' · ')}</div>` : '';
+    }
+
+    formatHours(hours) {
+        return `~${Math.round(hours)} ${Math.round(hours) === 1 ? 'hr' : 'hrs'}`;
+    }
+
+    truncateText(text, maxLength) {
+        if (text.length <= maxLength) return text;
+        return text.substring(0, maxLength).trim() + '...';
+    }
+
+    createStarDisplay(rating) {
+        if (this.settings.ratingScale === 'ten') {
+            return html`<span class="rating-points">${this.formatRating(rating)}</span>`;
+        }
+
+        const stars = [];
+        for (let i = 1; i <= 5; i++) {
+            let starClass = 'star empty';
+            if (i <= rating) {
+                starClass = 'star';
+            } else if (i - 0.5 === rating) {
+                starClass = 'star half';
+            }
+            stars.push(html`<span class="${starClass}">&#9733;</span>`);
+        }
+        return html`${stars}`;
+    }
+
+    // Modal Management
+    openGameModal(gameId) {
+        const game = this.games.find(g => g.id === gameId);
+        if (!game) return;
+
+        // Switching games inside the modal keeps the original place to return to
+        const modal = document.getElementById('game-modal');
+        if (!modal.classList.contains('active')) {
+            this.modalFocus = this.rememberFocus();
+        } else {
+            this.keepJournalDraft();
+        }
+
+        this.currentGameId = gameId;
+        const progress = this.getGameProgress(gameId);
+
+        // Populate modal
+        document.getElementById('modal-title').textContent = game.title;
+        document.getElementById('modal-year').textContent = game.year;
+        document.getElementById('modal-genre').textContent = game.genre;
+        document.getElementById('modal-themes').textContent = game.themes.join(', ');
+        this.updateModalDetails(game);
+
+        // Update rating widgets and text
+        this.updateModalRating();
+        this.updateModalCopy();
+
+        // Start with an empty journal composer, or the draft left for this game
+        this.loadJournalDraft();
+        this.renderJournalEntries();
+
+        this.updateModalActivity();
+
+        // Custom games can be edited or deleted
+        document.getElementById('edit-custom-game').style.display = game.custom ? 'inline-block' : 'none';
+        document.getElementById('delete-custom-game').style.display = game.custom ? 'inline-block' : 'none';
+
+        this.updateModalStatus();
+        this.updateModalLists();
+        this.updateModalSimilar();
+
+        // Show modal, starting from the top when switching between games
+        modal.querySelector('.modal-content').scrollTop = 0;
+        modal.classList.add('active');
+        document.body.style.overflow = 'hidden';
+        modal.querySelector('.modal-close').focus();
+        this.syncUrlState();
+    }
+
+    // Show the current status, the moves available from it, and matching action buttons
+    updateModalStatus() {
+        const progress = this.getGameProgress(this.currentGameId);
+        const status = progress.status || 'none';
+
+        const label = document.getElementById('modal-status');
+        label.textContent = PLAY_STATUSES[status];
+        label.className = `status-badge ${this.isPlayed(progress) ? 'played' : 'unplayed'} status-${status}`;
+
+        document.getElementById('status-actions').innerHTML = STATUS_TRANSITIONS[status]
+            .map(transition => html`
+                <button class="btn btn-secondary btn-small status-transition" data-status="${transition.to}">
+                    ${transition.label}
+                </button>
+            `).join('');
+
+        document.getElementById('mark-unplayed').style.display = status !== 'none' ? 'inline-block' : 'none';
+        document.getElementById('clear-rating').style.display = progress.rating > 0 ? 'inline-block' : 'none';
+    }
+
+    // Cover art and the optional catalog fields; rows without a value are left out
+    updateModalDetails(game) {
+        const cover = document.getElementById('modal-cover');
+        cover.hidden = !game.cover;
+        if (game.cover) {
+            cover.src = game.cover;
+        } else {
+            cover.removeAttribute('src');
+        }
+
+        const rows = [
+            ['Platforms', game.platforms && game.platforms.join(', ')],
+            ...Object.entries(GAME_TEXT_FIELDS).map(([field, label]) => [label, game[field]]),
+            ['Length', game.estimatedHours && `About ${Math.round(game.estimatedHours)} hours to finish`]
+        ].filter(([, value]) => value);
+
+        document.getElementById('modal-details').innerHTML = rows.map(([label, value]) => html`
+            <p><strong>${label}:</strong> <span>${value}</span></p>
+        `).join('');
+    }
+
+    // Redraw everything in the open modal after its progress changed from outside, e.g. undo
+    refreshGameModal() {
+        const journal = this.getGameProgress(this.currentGameId).journal || [];
+        // An entry being edited can disappear (e.g. undoing its creation); keep the text as a new draft
+        if (this.editingJournalEntryId && !journal.some(entry => entry.id === this.editingJournalEntryId)) {
+            this.saveJournalDraft();
+            this.loadJournalDraft();
+        }
+
+        this.updateModalRating();
+        this.updateModalStatus();
+        this.updateModalActivity();
+        this.updateModalCopy();
+        this.renderJournalEntries();
+        this.updateModalLists();
+    }
+
+    setGameStatus(status) {
+        if (!this.currentGameId) return;
+
+        const current = this.getGameProgress(this.currentGameId).status || 'none';
+        const allowed = STATUS_TRANSITIONS[current].some(transition => transition.to === status);
+        if (!allowed) return;
+
+        const title = this.getGameTitle(this.currentGameId);
+        this.updateGameProgress(this.currentGameId, { status }, `Moved ${title} to ${PLAY_STATUSES[status]}`);
+        this.updateModalStatus();
+        this.updateModalActivity();
+        this.renderGames();
+    }
+
+    // Show play/rating/notes dates and the rating history for the open game
+    updateModalActivity() {
+        const progress = this.getGameProgress(this.currentGameId);
+
+        const dates = [
+            ['Played', progress.playedAt],
+            ['Status changed', progress.statusUpdatedAt],
+            ['Last rated', progress.ratedAt],
+            ['Notes edited', progress.notesUpdatedAt]
+        ].filter(([, date]) => date);
+
+        const datesContainer = document.getElementById('modal-dates');
+        datesContainer.innerHTML = dates
+            .map(([label, date]) => html`<p><strong>${label}:</strong> ${this.formatDate(date)}</p>`)
+            .join('');
+        datesContainer.style.display = dates.length > 0 ? 'block' : 'none';
+
+        const history = progress.ratingHistory || [];
+        const historySection = document.getElementById('rating-history');
+        const historyList = document.getElementById('rating-history-list');
+
+        if (history.length === 0) {
+            historySection.style.display = 'none';
+            return;
+        }
+
+        // Most recent change first
+        historyList.innerHTML = [...history].reverse().map(entry => html`
+            <li>
+                <span class="history-rating">${entry.rating > 0 ? this.createStarDisplay(entry.rating) : 'Rating cleared'}</span>
+                <span class="history-date">${this.formatDate(entry.date)}</span>
+            </li>
+        `).join('');
+        historySection.style.display = 'block';
+    }
+
+    updateNotesCharCount() {
+        const notesTextarea = document.getElementById('game-notes');
+        const charCount = document.getElementById('notes-char-count');
+        const currentLength = notesTextarea.value.length;
+        charCount.textContent = `${currentLength} / ${JOURNAL_ENTRY_MAX_LENGTH}`;
+    }
+
+    // Journal
+    createJournalEntryId() {
+        return `entry-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+    }
+
+    // Returns the journal if every entry is usable, otherwise null
+    getValidJournal(journal) {
+        if (!Array.isArray(journal)) return null;
+        const valid = journal.every(entry => entry && typeof entry === 'object' &&
+            typeof entry.id === 'string' && entry.id &&
+            typeof entry.text === 'string' && entry.text.trim() && entry.text.length <= JOURNAL_ENTRY_MAX_LENGTH &&
+            !isNaN(Date.parse(entry.createdAt)) && !isNaN(Date.parse(entry.updatedAt)));
+        return valid ? journal : null;
+    }
+
+    getJournalTexts(progress) {
+        return (progress.journal || []).map(entry => entry.text);
+    }
+
+    getLatestJournalEntry(progress) {
+        const journal = progress.journal || [];
+        return journal.reduce((latest, entry) =>
+            !latest || entry.createdAt > latest.createdAt ? entry : latest, null);
+    }
+
+    // Entry text with its formatting marks removed, for previews
+    getJournalPlainText(text) {
+        return text
+            .split('\n')
+            .map(line => /^\s*>!/.test(line) ? '[spoiler]' : line)
+            .join(' ')
+            .replace(/(\[spoiler\]\s*)+/g, '[spoiler] ')
+            .replace(/^#{1,3}\s+|\s#{1,3}\s+/g, ' ')
+            .replace(/(^|\s)(?:[-*]|\d+\.)\s+/g, '$1')
+            .replace(/\[([^\]]+)\]\(((?:https?:|mailto:)[^)\s]+)\)/gi, '$1')
+            .replace(/\*\*([^*]+)\*\*/g, '$1')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Newest entries first, each with edit and delete actions
+    renderJournalEntries() {
+        const journal = [...(this.getGameProgress(this.currentGameId).journal || [])]
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        const container = document.getElementById('journal-entries');
+
+        if (journal.length === 0) {
+            container.innerHTML = '<li class="journal-empty">No journal entries yet.</li>';
+            return;
+        }
+
+        container.innerHTML = journal.map(entry => html`
+            <li class="journal-entry ${entry.id === this.editingJournalEntryId ? 'editing' : ''}" data-entry-id="${entry.id}">
+                <div class="journal-entry-header">
+                    <time datetime="${entry.createdAt}">${this.formatDate(entry.createdAt)}</time>
+                    ${entry.updatedAt !== entry.createdAt ? html`<span class="journal-edited">edited ${this.formatDate(entry.updatedAt)}</span>` : ''}
+                    <div class="journal-entry-actions">
+                        <button class="btn-link" data-action="edit">Edit</button>
+                        <button class="btn-link btn-link-danger" data-action="delete">Delete</button>
+                    </div>
+                </div>
+                <div class="journal-text">${formatRichText(entry.text)}</div>
+            </li>
+        `).join('');
+    }
+
+    resetJournalEditor() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        this.hideDraftConflict();
+        this.editingJournalEntryId = null;
+        document.getElementById('game-notes').value = '';
+        document.getElementById('save-notes').textContent = 'Add Entry';
+        this.updateNotesCharCount();
+        this.updateDraftStatus();
+    }
+
+    // Journal Drafts
+    readJournalDrafts() {
+        try {
+            const drafts = JSON.parse(localStorage.getItem(this.getProfileKey(STORAGE_DRAFTS_KEY)));
+            return drafts && typeof drafts === 'object' ? drafts : {};
+        } catch (error) {
+            console.error('Error reading journal drafts:', error);
+            return {};
+        }
+    }
+
+    writeJournalDrafts(drafts) {
+        try {
+            if (Object.keys(drafts).length > 0) {
+                localStorage.setItem(this.getProfileKey(STORAGE_DRAFTS_KEY), JSON.stringify(drafts));
+            } else {
+                localStorage.removeItem(this.getProfileKey(STORAGE_DRAFTS_KEY));
+            }
+            return true;
+        } catch (error) {
+            console.error('Error saving journal drafts:', error);
+            return false;
+        }
+    }
+
+    getJournalDraft(gameId) {
+        const draft = this.readJournalDrafts()[gameId];
+        return draft && typeof draft.text === 'string' ? draft : null;
+    }
+
+    // The composer has text that isn't in the journal yet (a new entry, or an edit that differs)
+    isJournalDirty() {
+        const text = document.getElementById('game-notes').value;
+        if (!this.editingJournalEntryId) return text.trim() !== '';
+
+        const entry = (this.getGameProgress(this.currentGameId).journal || [])
+            .find(e => e.id === this.editingJournalEntryId);
+        return !entry || text !== entry.text;
+    }
+
+    // Fill the composer from the game's draft, resuming an edit if its entry still exists
+    loadJournalDraft() {
+        this.resetJournalEditor();
+
+        const draft = this.getJournalDraft(this.currentGameId);
+        if (!draft) return;
+
+        const journal = this.getGameProgress(this.currentGameId).journal || [];
+        if (draft.entryId && journal.some(entry => entry.id === draft.entryId)) {
+            this.editingJournalEntryId = draft.entryId;
+            document.getElementById('save-notes').textContent = 'Save Entry';
+        }
+        document.getElementById('game-notes').value = draft.text;
+        this.updateNotesCharCount();
+        this.updateDraftStatus(draft.updatedAt);
+    }
+
+    scheduleJournalDraftSave() {
+        clearTimeout(this.draftTimer);
+        // Wait for the user to settle a conflict with another tab before saving over its draft
+        if (!this.draftConflict) {
+            this.draftTimer = setTimeout(() => this.saveJournalDraft(), JOURNAL_DRAFT_DELAY);
+        }
+        this.updateDraftStatus();
+    }
+
+    // Store the open game's draft, or drop it once it matches the journal again;
+    // returns false if it couldn't be stored
+    saveJournalDraft() {
+        clearTimeout(this.draftTimer);
+        this.draftTimer = null;
+        if (this.currentGameId === null) return true;
+
+        const drafts = this.readJournalDrafts();
+        const dirty = this.isJournalDirty();
+        if (dirty) {
+            drafts[this.currentGameId] = {
+                text: document.getElementById('game-notes').value,
+                entryId: this.editingJournalEntryId,
+                updatedAt: new Date().toISOString()
+            };
+        } else {
+            delete drafts[this.currentGameId];
+        }
+
+        const saved = this.writeJournalDrafts(drafts);
+        this.updateDraftStatus(dirty && saved ? drafts[this.currentGameId].updatedAt : null, !saved);
+        return saved;
+    }
+
+    discardJournalDraft(gameId) {
+        const drafts = this.readJournalDrafts();
+        if (!drafts[gameId]) return;
+        delete drafts[gameId];
+        this.writeJournalDrafts(drafts);
+    }
+
+    // Closing the modal or switching games keeps unsaved text as a draft instead of losing it
+    keepJournalDraft() {
+        if (this.currentGameId === null || !document.getElementById('game-modal').classList.contains('active')) return;
+        // A game that was just deleted takes its draft with it
+        if (!this.games.some(game => game.id === this.currentGameId)) return;
+
+        const dirty = this.isJournalDirty();
+        const saved = this.saveJournalDraft();
+        if (dirty && saved) {
+            this.showToast(`Your unsaved journal entry for ${this.getGameTitle(this.currentGameId)} was kept as a draft`);
+        }
+    }
+
+    // "Unsaved changes" while typing, then when the draft was saved; empty once it's in the journal
+    updateDraftStatus(savedAt = null, failed = false) {
+        const status = document.getElementById('draft-status');
+        const dirty = this.currentGameId !== null && this.isJournalDirty();
+        let text = '';
+        let state = 'saved';
+
+        if (failed) {
+            text = 'Draft could not be saved';
+            state = 'unsaved';
+        } else if (this.draftTimer !== null && dirty) {
+            text = 'Unsaved changes';
+            state = 'unsaved';
+        } else if (savedAt && dirty) {
+            const time = new Date(savedAt).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit' });
+            text = `Draft saved ${this.formatDate(savedAt)}, ${time}`;
+            state = 'draft';
+        }
+
+        status.textContent = text;
+        status.dataset.state = state;
+
+        // Drafts and edits can be thrown away
+        const cancel = document.getElementById('cancel-journal-edit');
+        cancel.hidden = !this.editingJournalEntryId && !dirty;
+        cancel.textContent = this.editingJournalEntryId ? 'Cancel' : 'Discard';
+    }
+
+    editJournalEntry(entryId) {
+        const entry = (this.getGameProgress(this.currentGameId).journal || []).find(e => e.id === entryId);
+        if (!entry) return;
+
+        // Only one draft per game, so don't silently replace unsaved text
+        if (this.isJournalDirty() && !confirm('Discard the unsaved text in the journal editor?')) return;
+
+        this.editingJournalEntryId = entryId;
+        const notesTextarea = document.getElementById('game-notes');
+        notesTextarea.value = entry.text;
+        document.getElementById('save-notes').textContent = 'Save Entry';
+        this.updateNotesCharCount();
+        this.saveJournalDraft();
+        this.renderJournalEntries();
+        notesTextarea.focus();
+    }
+
+    deleteJournalEntry(entryId) {
+        if (!this.currentGameId) return;
+
+        // No confirmation: the toast offers to undo instead
+        const journal = (this.getGameProgress(this.currentGameId).journal || []).filter(e => e.id !== entryId);
+        this.updateGameProgress(this.currentGameId, { journal }, `Deleted a journal entry for ${this.getGameTitle(this.currentGameId)}`);
+        this.showUndoToast();
+
+        if (this.editingJournalEntryId === entryId) {
+            this.discardJournalDraft(this.currentGameId);
+            this.resetJournalEditor();
+        }
+        this.renderJournalEntries();
+        this.updateModalActivity();
+        this.renderGames();
+    }
+
+    // Adds a new entry, or saves the one being edited
+    saveNotes() {
+        if (!this.currentGameId) return;
+
+        const notesTextarea = document.getElementById('game-notes');
+        const text = notesTextarea.value.trim();
+        if (!text) return;
+
+        const now = new Date().toISOString();
+        const journal = [...(this.getGameProgress(this.currentGameId).journal || [])];
+        const index = journal.findIndex(entry => entry.id === this.editingJournalEntryId);
+
+        if (index >= 0) {
+            journal[index] = { ...journal[index], text, updatedAt: now };
+        } else {
+            journal.push({ id: this.createJournalEntryId(), text, createdAt: now, updatedAt: now });
+        }
+
+        const title = this.getGameTitle(this.currentGameId);
+        this.updateGameProgress(this.currentGameId, { journal },
+            index >= 0 ? `Edited a journal entry for ${title}` : `Added a journal entry for ${title}`);
+        this.discardJournalDraft(this.currentGameId);
+        this.resetJournalEditor();
+        this.renderJournalEntries();
+        this.updateModalActivity();
+
+        // Show visual feedback
+        const saveBtn = document.getElementById('save-notes');
+        const originalText = saveBtn.textContent;
+        saveBtn.textContent = 'Saved!';
+        saveBtn.style.background = 'linear-gradient(135deg, var(--success), var(--success))';
+
+        setTimeout(() => {
+            saveBtn.textContent = originalText;
+            saveBtn.style.background = '';
+        }, 1500);
+
+        // Re-render games to update any notes previews
+        this.renderGames();
+    }
+
+    // Every journal entry across all games, newest first, filtered by the journal search
+    renderJournalView() {
+        const query = this.journalQuery.trim().toLowerCase();
+        const results = [];
+        this.games.forEach(game => {
+            (this.getGameProgress(game.id).journal || []).forEach(entry => {
+                if (!query || entry.text.toLowerCase().includes(query) || game.title.toLowerCase().includes(query)) {
+                    results.push({ game, entry });
+                }
+            });
+        });
+        results.sort((a, b) => b.entry.createdAt.localeCompare(a.entry.createdAt));
+
+        const gameCount = new Set(results.map(result => result.game.id)).size;
+        document.getElementById('journal-view-count').textContent =
+            `${results.length} ${results.length === 1 ? 'entry' : 'entries'} across ${gameCount} ${gameCount === 1 ? 'game' : 'games'}`;
+
+        const container = document.getElementById('journal-results');
+        if (results.length === 0) {
+            container.innerHTML = html`
+                <li class="empty-state">
+                    <h3>${query ? 'No matching entries' : 'Your journal is empty'}</h3>
+                    <p>${query ? 'Try a different search' : 'Open a game and add a journal entry to see it here'}</p>
+                </li>
+            `;
+            return;
+        }
+
+        container.innerHTML = results.map(({ game, entry }) => html`
+            <li class="journal-result">
+                <div class="journal-entry-header">
+                    <button class="journal-game" data-game-id="${game.id}">${game.title}</button>
+                    <time datetime="${entry.createdAt}">${this.formatDate(entry.createdAt)}</time>
+                </div>
+                <div class="journal-text">${formatRichText(entry.text)}</div>
+            </li>
+        `).join('');
+    }
+
+    closeGameModal() {
+        this.keepJournalDraft();
+
+        const modal = document.getElementById('game-modal');
+        modal.classList.remove('active');
+        document.body.style.overflow = 'auto';
+        this.currentGameId = null;
+
+        this.restoreFocus(this.modalFocus);
+        this.modalFocus = null;
+
+        if (this.applyingUrlState) return;
+
+        // Step back over the entry the modal pushed so back/forward stay in step
+        if (history.state && history.state.gameId !== undefined) {
+            this.urlHash = this.getUrlState();
+            history.back();
+        } else {
+            this.syncUrlState();
+        }
+    }
+
+    // Rating widget buttons for the chosen scale: stars (clickable by halves) or 1-10 points
+    createRatingInput(aspect = '') {
+        const name = aspect ? `${RATING_ASPECTS[aspect]} ` : '';
+
+        if (this.settings.ratingScale === 'ten') {
+            return html`${Array.from({ length: 10 }, (_, index) => html`
+                <button class="point" data-rating="${(index + 1) / 2}" aria-label="Rate ${name}${index + 1} out of 10">${index + 1}</button>
+            `)}`;
+        }
+
+        const hint = this.settings.ratingScale === 'half' ? ' (click the left half for a half star)' : '';
+        return html`${[1, 2, 3, 4, 5].map(rating => html`
+            <button class="star" data-rating="${rating}"
+                    aria-label="Rate ${name}${rating} ${rating === 1 ? 'star' : 'stars'}${hint}">&#9733;</button>
+        `)}`;
+    }
+
+    // Read the rating under the pointer, honoring half stars on the half-star scale
+    getRatingFromEvent(e) {
+        const button = e.target.closest('.star, .point');
+        if (!button || button.disabled) return null;
+
+        const rating = parseFloat(button.dataset.rating);
+        if (button.classList.contains('star') && this.settings.ratingScale === 'half') {
+            const rect = button.getBoundingClientRect();
+            if (e.clientX - rect.left < rect.width / 2) return rating - 0.5;
+        }
+        return rating;
+    }
+
+    updateModalRating() {
+        const progress = this.getGameProgress(this.currentGameId);
+        const derived = this.hasAspectScores(progress);
+
+        document.getElementById('rating-scale').value = this.settings.ratingScale;
+
+        // With aspect scores, the overall rating is their average and can't be set directly
+        const overall = document.getElementById('overall-rating');
+        overall.innerHTML = this.createRatingInput();
+        overall.classList.toggle('derived', derived);
+        overall.querySelectorAll('button').forEach(button => {
+            button.disabled = derived;
+        });
+        this.updateModalStars(progress.rating);
+
+        const ratingText = document.getElementById('rating-text');
+        if (progress.rating > 0) {
+            const scaleText = this.settings.ratingScale === 'ten' ? 'out of 10' : 'out of 5 stars';
+            ratingText.textContent = `You rated this ${this.toDisplayRating(progress.rating)} ${scaleText}` +
+                (derived ? ', the average of your aspect scores' : '');
+        } else {
+            ratingText.textContent = 'Not yet rated';
+        }
+
+        const aspects = progress.aspects || {};
+        document.getElementById('aspect-rows').innerHTML = Object.entries(RATING_ASPECTS).map(([aspect, label]) => html`
+            <div class="aspect-row">
+                <span class="aspect-label">${label}</span>
+                <div class="star-rating star-rating-small" data-aspect="${aspect}">${this.createRatingInput(aspect)}</div>
+                <span class="aspect-value">${aspects[aspect] ? this.formatRating(aspects[aspect]) : '–'}</span>
+                <button class="aspect-clear" data-aspect="${aspect}" ${aspects[aspect] ? '' : 'hidden'}
+                        aria-label="Clear ${label} score">&times;</button>
             </div>
-        `;
+        `).join('');
+        Object.keys(RATING_ASPECTS).forEach(aspect => this.updateModalStars(aspects[aspect] || 0, aspect));
+
+        if (derived) {
+            document.getElementById('aspect-scores').open = true;
+        }
     }
 
-    truncateText(text, maxLength) {
-        if (text.length <= maxLength) return text;
-        return text.substring(0, maxLength).trim() + '...';
+    updateModalStars(rating, aspect = '') {
+        const widget = aspect
+            ? document.querySelector(`.star-rating[data-aspect="${aspect}"]`)
+            : document.getElementById('overall-rating');
+
+        widget.querySelectorAll('.star, .point').forEach(button => {
+            const value = parseFloat(button.dataset.rating);
+            button.classList.toggle('active', value <= rating);
+            button.classList.toggle('half', button.classList.contains('star') && value - 0.5 === rating);
+        });
+    }
+
+    // Rating System
+    rateGame(rating, aspect = '') {
+        if (!this.currentGameId) return;
+
+        // Rating a game that hasn't been started marks it completed;
+        // games in progress or dropped keep their status
+        const progress = this.getGameProgress(this.currentGameId);
+        const status = this.isPlayed(progress) ? progress.status : 'completed';
+        const update = { status, rating };
+
+        // Scoring an aspect re-derives the overall rating from all aspects
+        if (aspect) {
+            update.aspects = { ...(progress.aspects || {}), [aspect]: rating };
+            update.rating = this.getDerivedRating(update.aspects);
+        }
+
+        const title = this.getGameTitle(this.currentGameId);
+        const previousRating = aspect ? (progress.aspects || {})[aspect] || 0 : progress.rating;
+        this.updateGameProgress(this.currentGameId, update, aspect
+            ? `Scored ${RATING_ASPECTS[aspect]} ${this.formatRating(rating)} for ${title}`
+            : `Rated ${title} ${this.formatRating(rating)}`);
+
+        // Replacing an existing rating is easy to do by a misclick, so offer to undo it
+        if (previousRating > 0 && previousRating !== rating) {
+            this.showUndoToast();
+        }
+
+        this.updateModalRating();
+
+        this.updateModalStatus();
+
+        this.updateModalActivity();
+
+        this.renderRatedGame(this.currentGameId, status !== (progress.status || 'none'));
+    }
+
+    // Removing an aspect score keeps the overall rating derived from the rest;
+    // removing the last one leaves the overall rating as it was
+    clearAspectScore(aspect) {
+        if (!this.currentGameId) return;
+
+        const progress = this.getGameProgress(this.currentGameId);
+        const aspects = { ...(progress.aspects || {}) };
+        delete aspects[aspect];
+
+        const update = { aspects };
+        if (Object.keys(aspects).length > 0) {
+            update.rating = this.getDerivedRating(aspects);
+        }
+        this.updateGameProgress(this.currentGameId, update,
+            `Cleared the ${RATING_ASPECTS[aspect]} score for ${this.getGameTitle(this.currentGameId)}`);
+        this.showUndoToast();
+
+        this.updateModalRating();
+        this.updateModalStatus();
+        this.updateModalActivity();
+        this.renderRatedGame(this.currentGameId);
+    }
+
+    setRatingScale(scale) {
+        if (!RATING_SCALES[scale]) return;
+        this.settings.ratingScale = scale;
+        this.saveProgress();
+
+        if (this.currentGameId !== null) {
+            this.updateModalRating();
+            this.updateModalActivity();
+        }
+        this.renderGames();
+    }
+
+    markAsUnplayed() {
+        if (!this.currentGameId) return;
+
+        this.updateGameProgress(this.currentGameId, {
+            status: 'none',
+            rating: 0,
+            aspects: {}
+        }, `Marked ${this.getGameTitle(this.currentGameId)} as not played`);
+        this.showUndoToast();
+
+        this.updateModalRating();
+
+        this.updateModalStatus();
+
+        this.updateModalActivity();
+
+        // Re-render games
+        this.renderGames();
+    }
+
+    clearRating() {
+        if (!this.currentGameId) return;
+
+        // The game keeps its status; only the rating and aspect scores are removed
+        this.updateGameProgress(this.currentGameId, {
+            rating: 0,
+            aspects: {}
+        }, `Cleared the rating for ${this.getGameTitle(this.currentGameId)}`);
+        this.showUndoToast();
+
+        this.updateModalRating();
+
+        this.updateModalStatus();
+
+        this.updateModalActivity();
+
+        this.renderRatedGame(this.currentGameId);
+    }
+
+    // Your Copy
+    // Returns a message for the first copy field that can't be used, or '' when every field present is fine
+    getCopyProblem(copy) {
+        if ('platform' in copy &&
+            (typeof copy.platform !== 'string' || !copy.platform.trim() || copy.platform.trim().length > 30)) {
+            return 'platform must be text of up to 30 characters';
+        }
+        if ('ownership' in copy && !Object.keys(OWNERSHIP_TYPES).includes(copy.ownership)) {
+            return 'ownership must be physical or digital';
+        }
+        if ('hoursPlayed' in copy &&
+            (typeof copy.hoursPlayed !== 'number' || !(copy.hoursPlayed >= 0) || copy.hoursPlayed > HOURS_PLAYED_MAX)) {
+            return `hours played must be a number from 0 to ${HOURS_PLAYED_MAX}`;
+        }
+        if ('completion' in copy &&
+            (!Number.isInteger(copy.completion) || copy.completion < 0 || copy.completion > 100)) {
+            return 'completion must be a whole percentage from 0 to 100';
+        }
+        if ('achievements' in copy) {
+            const { earned, total } = copy.achievements || {};
+            if (!Number.isInteger(earned) || !Number.isInteger(total) ||
+                earned < 0 || total < 1 || earned > total || total > ACHIEVEMENTS_MAX) {
+                return `achievements must be a whole number earned out of a total from 1 to ${ACHIEVEMENTS_MAX}`;
+            }
+        }
+        return '';
+    }
+
+    isOwned(progress) {
+        return Boolean(progress.ownership);
+    }
+
+    // Completion as entered, otherwise worked out from achievements; null when neither is known
+    getCompletionPercent(progress) {
+        if (progress.completion !== undefined) return progress.completion;
+        if (progress.achievements) {
+            return Math.round((progress.achievements.earned / progress.achievements.total) * 100);
+        }
+        return null;
+    }
+
+    formatPlayedHours(hours) {
+        const rounded = Math.round(hours * 10) / 10;
+        return `${rounded} ${rounded === 1 ? 'hr' : 'hrs'}`;
+    }
+
+    // "12.5 hrs played · Switch · Physical · 80% complete" on a card, from whichever copy fields are filled in
+    createGamePlaytime(progress) {
+        const parts = [];
+        if (progress.hoursPlayed !== undefined) parts.push(`${this.formatPlayedHours(progress.hoursPlayed)} played`);
+        if (progress.platform) parts.push(progress.platform);
+        if (progress.ownership) parts.push(OWNERSHIP_TYPES[progress.ownership]);
+        if (progress.completion !== undefined) parts.push(`${progress.completion}% complete`);
+        if (progress.achievements) {
+            parts.push(`${progress.achievements.earned}/${progress.achievements.total} achievements`);
+        }
+        return parts.length > 0 ? html`<div class="game-playtime">${parts.join(' · ')}</div>` : '';
+    }
+
+    // Fill the modal's "Your Copy" fields; the platform field suggests the game's own platforms
+    updateModalCopy() {
+        const game = this.games.find(g => g.id === this.currentGameId);
+        const progress = this.getGameProgress(this.currentGameId);
+        const achievements = progress.achievements || {};
+
+        document.getElementById('copy-platform-options').innerHTML = (game.platforms || [])
+            .map(platform => html`<option value="${platform}"></option>`).join('');
+        document.getElementById('copy-platform').value = progress.platform || '';
+        document.getElementById('copy-ownership').value = progress.ownership || '';
+        document.getElementById('copy-hours').value = progress.hoursPlayed ?? '';
+        document.getElementById('copy-completion').value = progress.completion ?? '';
+        document.getElementById('copy-achievements-earned').value = achievements.earned ?? '';
+        document.getElementById('copy-achievements-total').value = achievements.total ?? '';
+        document.getElementById('copy-error').textContent = '';
+    }
+
+    // Saves whenever a field changes; emptied fields are removed from the game's progress
+    saveCopy() {
+        if (!this.currentGameId) return;
+
+        const value = id => document.getElementById(id).value.trim();
+        const copy = {};
+        if (value('copy-platform')) copy.platform = value('copy-platform');
+        if (value('copy-ownership')) copy.ownership = value('copy-ownership');
+        if (value('copy-hours') !== '') copy.hoursPlayed = Number(value('copy-hours'));
+        if (value('copy-completion') !== '') copy.completion = Number(value('copy-completion'));
+
+        const earned = value('copy-achievements-earned');
+        const total = value('copy-achievements-total');
+        let problem = '';
+        if (earned !== '' && total !== '') {
+            copy.achievements = { earned: Number(earned), total: Number(total) };
+        } else if (earned !== '' || total !== '') {
+            problem = 'enter both the achievements earned and the total';
+        }
+
+        problem = problem || this.getCopyProblem(copy);
+        document.getElementById('copy-error').textContent = problem
+            ? problem.charAt(0).toUpperCase() + problem.slice(1) + '.'
+            : '';
+        if (problem) return;
+
+        const progress = this.getGameProgress(this.currentGameId);
+        const update = {};
+        COPY_FIELDS.forEach(field => {
+            if (JSON.stringify(copy[field]) !== JSON.stringify(progress[field])) update[field] = copy[field];
+        });
+        if (Object.keys(update).length === 0) return;
+
+        this.updateGameProgress(this.currentGameId, update, `Updated your copy of ${this.getGameTitle(this.currentGameId)}`);
+        this.showUndoToast();
+        this.renderGames();
+    }
+
+    // "Owned but not played": games owned in any form that are still unplayed, wishlisted or in the backlog
+    showOwnedUnplayed() {
+        this.clearFilters();
+        this.filters.ownership = Object.keys(OWNERSHIP_TYPES);
+        this.filters.statuses = Object.keys(PLAY_STATUSES).filter(status => !PLAYED_STATUSES.includes(status));
+
+        this.showView('');
+        document.getElementById('games-view').scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    // Keyboard Navigation
+    isTypingTarget(element) {
+        return Boolean(element && (element.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName)));
+    }
+
+    // Topmost open dialog; the command palette can open over the game modal
+    getActiveModal() {
+        return ['command-palette', 'custom-game-modal', 'import-modal', 'game-modal']
+            .map(id => document.getElementById(id))
+            .find(modal => modal.classList.contains('active')) || null;
+    }
+
+    // Controls Tab can reach, skipping disabled, hidden and collapsed <details> content
+    getFocusableElements(container) {
+        return [...container.querySelectorAll(FOCUSABLE_SELECTOR)].filter(element => {
+            const style = getComputedStyle(element);
+            return !element.disabled &&
+                !element.closest('[hidden]') &&
+                !element.closest('details:not([open]) > :not(summary)') &&
+                style.display !== 'none' &&
+                style.visibility !== 'hidden';
+        });
     }
 
-    createStarDisplay(rating) {
-        let stars = '';
-        for (let i = 1; i <= 5; i++) {
-            const starClass = i <= rating ? 'star' : 'star empty';
-            stars += `<span class="${starClass}">&#9733;</span>`;
-        }
-        return stars;
-    }
+    // Keep Tab and Shift+Tab cycling inside the open dialog
+    trapFocus(e, modal) {
+        const focusable = this.getFocusableElements(modal);
+        if (focusable.length === 0) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = modal.contains(document.activeElement);
+
+        if (e.shiftKey && (!inside || document.activeElement === first)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (!inside || document.activeElement === last)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    // Cards are re-rendered while a dialog is open, so also remember which game's card had focus
+    rememberFocus() {
+        const element = document.activeElement;
+        const card = element && element !== document.body ? element.closest('[data-game-id]') : null;
+        const container = card ? card.parentElement : null;
+        return {
+            element,
+            selector: container && container.id ? `#${container.id} [data-game-id="${card.dataset.gameId}"]` : null
+        };
+    }
+
+    restoreFocus(saved) {
+        if (!saved) return;
+
+        const target = saved.element && saved.element !== document.body && saved.element.isConnected
+            ? saved.element
+            : saved.selector && document.querySelector(saved.selector);
+        if (target) target.focus();
+    }
+
+    // Arrow keys move between cards row by row, Home/End jump to the ends, Enter or Space opens
+    handleGridKeydown(e, selector) {
+        const card = e.target.closest(selector);
+        if (!card || card !== e.target) return;
+
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            this.openGameModal(parseInt(card.dataset.gameId));
+            return;
+        }
+
+        // The games grid may render only some of its cards, so it moves through the games behind them
+        const grid = e.currentTarget;
+        const isGamesGrid = grid.id === 'games-grid';
+        const cards = isGamesGrid ? [] : [...grid.querySelectorAll(selector)];
+        const gameId = parseInt(card.dataset.gameId);
+        const index = isGamesGrid ? this.gridGames.findIndex(game => game.id === gameId) : cards.indexOf(card);
+        const count = isGamesGrid ? this.gridGames.length : cards.length;
+        // The grid wraps to the window width
+        const columns = this.getGridColumns(grid);
+        const targets = {
+            ArrowLeft: index - 1,
+            ArrowRight: index + 1,
+            ArrowUp: index - columns,
+            ArrowDown: index + columns,
+            Home: 0,
+            End: count - 1
+        };
+        if (!(e.key in targets)) return;
+
+        e.preventDefault();
+        const target = targets[e.key];
+        if (target < 0 || target >= count) return;
+        if (isGamesGrid) {
+            this.focusGridCard(target);
+        } else {
+            cards[target].focus();
+        }
+    }
+
+    // Command Palette
+    // Actions for the open game come first, then general actions, views, filters and every game
+    getCommands() {
+        const commands = [];
+        const game = this.games.find(g => g.id === this.currentGameId);
+
+        if (game) {
+            const progress = this.getGameProgress(game.id);
+            const status = progress.status || 'none';
+            const hint = game.title;
+
+            if (!this.hasAspectScores(progress)) {
+                [1, 2, 3, 4, 5].forEach(rating => commands.push({
+                    label: `Rate ${this.formatRating(rating)}`,
+                    hint,
+                    run: () => this.rateGame(rating)
+                }));
+            }
+            STATUS_TRANSITIONS[status].forEach(transition => commands.push({
+                label: transition.label,
+                hint,
+                run: () => this.setGameStatus(transition.to)
+            }));
+            if (status !== 'none') {
+                commands.push({ label: 'Mark as Not Played', hint, keywords: 'unplayed reset', run: () => this.markAsUnplayed() });
+            }
+            if (progress.rating > 0) {
+                commands.push({ label: 'Clear Rating', hint, run: () => this.clearRating() });
+            }
+            commands.push({
+                label: 'Write a Journal Entry',
+                hint,
+                keywords: 'notes',
+                run: () => document.getElementById('game-notes').focus()
+            });
+        }
+
+        if (this.undoStack.length > 0) {
+            commands.push({ label: 'Undo', hint: this.undoStack[this.undoStack.length - 1].label, run: () => this.undo() });
+        }
+        if (this.redoStack.length > 0) {
+            commands.push({ label: 'Redo', hint: this.redoStack[this.redoStack.length - 1].label, run: () => this.redo() });
+        }
+
+        commands.push(
+            { label: 'Add Custom Game', hint: 'Action', run: () => this.openCustomGameModal() },
+            { label: 'Export JSON', hint: 'Action', keywords: 'backup download', run: () => this.exportProgress('json') },
+            { label: 'Export CSV', hint: 'Action', keywords: 'backup download', run: () => this.exportProgress('csv') },
+            { label: 'Clear All Filters', hint: 'Filter', keywords: 'reset', run: () => this.clearAllFacets() },
+            { label: 'Show Owned but Not Played', hint: 'Filter', keywords: 'unplayed backlog', run: () => this.showOwnedUnplayed() }
+        );
+
+        const views = [
+            { id: '', name: 'All Games' },
+            ...this.lists.map(list => ({ id: list.id, name: list.name })),
+            ...Object.entries(SPECIAL_VIEWS).map(([id, name]) => ({ id, name }))
+        ];
+        views.forEach(view => commands.push({
+            label: `Go to ${view.name}`,
+            hint: 'View',
+            run: () => this.showView(view.id)
+        }));
+
+        this.profiles
+            .filter(profile => profile.id !== this.activeProfileId)
+            .forEach(profile => commands.push({
+                label: `Switch to ${profile.name}`,
+                hint: 'Profile',
+                run: () => this.switchProfile(profile.id)
+            }));
+
+        // Filters apply to the games grid, so switch back to it first
+        Object.entries(FACETS).forEach(([facet, label]) => {
+            this.getFacetOptions(facet).forEach(value => {
+                const selected = this.filters[facet].includes(value);
+                commands.push({
+                    label: `${selected ? 'Remove filter' : 'Filter by'} ${label}: ${this.getFacetLabel(facet, value)}`,
+                    hint: 'Filter',
+                    run: () => {
+                        if (this.getActiveViewId()) this.showView('');
+                        this.toggleFacetValue(facet, value);
+                    }
+                });
+            });
+        });
+
+        this.games.forEach(other => commands.push({
+            label: other.title,
+            hint: `${other.year} · ${other.genre}`,
+            run: () => this.openGameModal(other.id)
+        }));
+
+        return commands;
+    }
+
+    // Every word must appear in the label, hint or keywords; labels starting with the query rank first
+    getCommandMatches(query) {
+        const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+        const phrase = query.trim().toLowerCase();
+        const startsWithPhrase = command => (phrase && command.label.toLowerCase().startsWith(phrase) ? 1 : 0);
+
+        return this.getCommands()
+            .filter(command => {
+                const text = `${command.label} ${command.hint} ${command.keywords || ''}`.toLowerCase();
+                return words.every(word => text.includes(word));
+            })
+            .sort((a, b) => startsWithPhrase(b) - startsWithPhrase(a))
+            .slice(0, COMMAND_PALETTE_LIMIT);
+    }
+
+    openCommandPalette() {
+        const palette = document.getElementById('command-palette');
+        if (palette.classList.contains('active')) return;
+
+        this.paletteFocus = this.rememberFocus();
+        palette.classList.add('active');
+        document.body.style.overflow = 'hidden';
+
+        const input = document.getElementById('command-input');
+        input.value = '';
+        this.updateCommandResults();
+        input.focus();
+    }
+
+    closeCommandPalette() {
+        document.getElementById('command-palette').classList.remove('active');
+
+        // Keep scrolling locked if a modal is still open underneath
+        if (!this.getActiveModal()) {
+            document.body.style.overflow = 'auto';
+        }
+        this.restoreFocus(this.paletteFocus);
+        this.paletteFocus = null;
+    }
+
+    updateCommandResults() {
+        this.commandResults = this.getCommandMatches(document.getElementById('command-input').value);
+        this.activeCommandIndex = 0;
+        this.renderCommandResults();
+    }
+
+    renderCommandResults() {
+        const results = document.getElementById('command-results');
+        const input = document.getElementById('command-input');
+
+        if (this.commandResults.length === 0) {
+            results.innerHTML = '<li class="command-empty">No matching games or commands</li>';
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+
+        results.innerHTML = this.commandResults.map((command, index) => html`
+            <li id="command-option-${index}" class="command-option ${index === this.activeCommandIndex ? 'active' : ''}"
+                role="option" aria-selected="${index === this.activeCommandIndex}" data-index="${index}">
+                <span>${command.label}</span>
+                <span class="command-option-hint">${command.hint}</span>
+            </li>
+        `).join('');
+
+        input.setAttribute('aria-activedescendant', `command-option-${this.activeCommandIndex}`);
+        results.children[this.activeCommandIndex].scrollIntoView({ block: 'nearest' });
+    }
+
+    moveActiveCommand(step) {
+        if (this.commandResults.length === 0) return;
+        this.activeCommandIndex = (this.activeCommandIndex + step + this.commandResults.length) % this.commandResults.length;
+        this.renderCommandResults();
+    }
+
+    // Close first so the command can move focus, e.g. into the game modal it opens
+    runCommand(index) {
+        const command = this.commandResults[index];
+        if (!command) return;
+
+        this.closeCommandPalette();
+        command.run();
+    }
+
+    // Event Listeners
+    attachEventListeners() {
+        // A cover named in games.json but missing from the app is hidden rather than shown broken;
+        // image errors don't bubble, so listen while they're captured
+        document.addEventListener('error', (e) => {
+            if (e.target instanceof HTMLImageElement && e.target.matches('.game-cover, .modal-cover')) {
+                e.target.hidden = true;
+            }
+        }, true);
+
+        // Search runs once typing pauses; the box is read then, so a search set in the meantime
+        // (e.g. by an Insights chart) isn't replaced by older text
+        document.getElementById('search-input').addEventListener('input', (e) => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => {
+                this.filters.search = e.target.value;
+                this.renderGames();
+            }, SEARCH_DEBOUNCE_DELAY);
+        });
+
+        // Filters
+        // Facet panel
+        document.getElementById('facet-groups').addEventListener('change', (e) => {
+            const { facet, value } = e.target.dataset;
+            if (facet && value !== undefined) {
+                this.toggleFacetValue(facet, decodeURIComponent(value));
+            }
+        });
+
+        document.getElementById('facet-groups').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            if (button.dataset.action === 'reset') {
+                this.resetFacet(button.dataset.facet);
+            } else if (button.dataset.action === 'toggle') {
+                const facet = button.dataset.facet;
+                if (this.expandedFacets.has(facet)) {
+                    this.expandedFacets.delete(facet);
+                } else {
+                    this.expandedFacets.add(facet);
+                }
+                this.renderFacets();
+            }
+        });
+
+        document.getElementById('clear-facets').addEventListener('click', () => {
+            this.clearAllFacets();
+        });
+
+        document.getElementById('list-filter').addEventListener('change', (e) => {
+            this.filters.list = e.target.value;
+            this.renderGames();
+        });
+
+        document.getElementById('sort-by').addEventListener('change', (e) => {
+            this.filters.sortBy = e.target.value;
+            this.renderGames();
+        });
+
+        // Modal close
+        document.querySelector('#game-modal .modal-close').addEventListener('click', () => {
+            this.closeGameModal();
+        });
+
+        // Close modal on outside click
+        document.getElementById('game-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'game-modal') {
+                this.closeGameModal();
+            }
+        });
+
+        // Back/forward restores filters and opens or closes the game modal
+        window.addEventListener('popstate', () => {
+            this.applyUrlState();
+        });
+
+        // Overall and aspect ratings; widgets are re-rendered, so listen on the section
+        const ratingSection = document.querySelector('.rating-section');
+        ratingSection.addEventListener('click', (e) => {
+            const clear = e.target.closest('.aspect-clear');
+            if (clear) {
+                this.clearAspectScore(clear.dataset.aspect);
+                return;
+            }
+
+            const rating = this.getRatingFromEvent(e);
+            if (rating !== null) {
+                this.rateGame(rating, e.target.closest('.star-rating').dataset.aspect || '');
+            }
+        });
+
+        // Hover effect
+        ratingSection.addEventListener('mousemove', (e) => {
+            const rating = this.getRatingFromEvent(e);
+            if (rating !== null) {
+                this.updateModalStars(rating, e.target.closest('.star-rating').dataset.aspect || '');
+            }
+        });
+
+        // Reset stars on mouse leave
+        ratingSection.addEventListener('mouseout', (e) => {
+            const widget = e.target.closest('.star-rating');
+            if (!widget || widget.contains(e.relatedTarget) || !this.currentGameId) return;
+
+            const progress = this.getGameProgress(this.currentGameId);
+            const aspect = widget.dataset.aspect || '';
+            this.updateModalStars(aspect ? (progress.aspects || {})[aspect] || 0 : progress.rating, aspect);
+        });
+
+        document.getElementById('rating-scale').addEventListener('change', (e) => {
+            this.setRatingScale(e.target.value);
+        });
+
+        // Copy fields save as soon as one changes
+        document.getElementById('copy-form').addEventListener('change', () => {
+            this.saveCopy();
+        });
+
+        // Mark as unplayed button
+        document.getElementById('mark-unplayed').addEventListener('click', () => {
+            this.markAsUnplayed();
+        });
+
+        // Clear rating button
+        document.getElementById('clear-rating').addEventListener('click', () => {
+            this.clearRating();
+        });
+
+        // Status transitions
+        document.getElementById('status-actions').addEventListener('click', (e) => {
+            const button = e.target.closest('.status-transition');
+            if (button) {
+                this.setGameStatus(button.dataset.status);
+            }
+        });
+
+        // Similar games open in the same modal
+        document.getElementById('similar-games').addEventListener('click', (e) => {
+            const button = e.target.closest('.similar-game');
+            if (button) {
+                this.openGameModal(parseInt(button.dataset.gameId));
+            }
+        });
 
-    // Modal Management
-    openGameModal(gameId) {
-        const game = this.games.find(g => g.id === gameId);
-        if (!game) return;
+        // Playtime stats: a genre shows its games, and the shortcut shows owned games not yet played
+        document.getElementById('genre-hours').addEventListener('click', (e) => {
+            const item = e.target.closest('.genre-hours-item');
+            if (item) {
+                this.applyInsightFilter('genres', decodeURIComponent(item.dataset.genre));
+            }
+        });
 
-        this.currentGameId = gameId;
-        const progress = this.getGameProgress(gameId);
+        document.getElementById('show-owned-unplayed').addEventListener('click', () => {
+            this.showOwnedUnplayed();
+        });
 
-        // Populate modal
-        document.getElementById('modal-title').textContent = game.title;
-        document.getElementById('modal-year').textContent = game.year;
-        document.getElementById('modal-genre').textContent = game.genre;
-        document.getElementById('modal-themes').textContent = game.themes.join(', ');
+        // Recommendation controls
+        document.getElementById('refresh-recommendations').addEventListener('click', () => {
+            this.refreshRecommendations();
+        });
 
-        // Update star rating
-        this.updateModalStars(progress.rating);
+        document.getElementById('show-more-recommendations').addEventListener('click', () => {
+            this.showMoreRecommendations();
+        });
 
-        // Update rating text
-        const ratingText = document.getElementById('rating-text');
-        if (progress.rating > 0) {
-            ratingText.textContent = `You rated this ${progress.rating} out of 5 stars`;
-        } else {
-            ratingText.textContent = 'Not yet rated';
-        }
+        document.getElementById('restore-recommendations').addEventListener('click', () => {
+            this.restoreDismissedRecommendations();
+        });
+
+        // Recommendation options
+        document.querySelectorAll('.recommendation-options input').forEach(checkbox => {
+            checkbox.checked = this.settings.recommendations[checkbox.dataset.option];
+            checkbox.addEventListener('change', () => {
+                this.settings.recommendations[checkbox.dataset.option] = checkbox.checked;
+                this.saveProgress();
+            });
+        });
 
-        // Update notes
+        // Notes functionality
         const notesTextarea = document.getElementById('game-notes');
-        notesTextarea.value = progress.notes || '';
-        this.updateNotesCharCount();
+        notesTextarea.addEventListener('input', () => {
+            this.updateNotesCharCount();
+            this.scheduleJournalDraftSave();
+        });
 
-        // Show/hide buttons based on status
-        const markUnplayedBtn = document.getElementById('mark-unplayed');
-        const clearRatingBtn = document.getElementById('clear-rating');
+        // Drafts are normally saved after a pause in typing; save right away before the page goes,
+        // and ask to stay only if that fails
+        window.addEventListener('beforeunload', (e) => {
+            if (!this.saveJournalDraft()) {
+                e.preventDefault();
+                e.returnValue = '';
+            }
+        });
 
-        if (progress.played) {
-            markUnplayedBtn.style.display = 'inline-block';
-            clearRatingBtn.style.display = 'inline-block';
-        } else {
-            markUnplayedBtn.style.display = 'none';
-            clearRatingBtn.style.display = 'none';
-        }
+        // Save notes button
+        document.getElementById('save-notes').addEventListener('click', () => {
+            this.saveNotes();
+        });
 
-        // Show modal
-        const modal = document.getElementById('game-modal');
-        modal.classList.add('active');
-        document.body.style.overflow = 'hidden';
+        document.getElementById('cancel-journal-edit').addEventListener('click', () => {
+            this.discardJournalDraft(this.currentGameId);
+            this.resetJournalEditor();
+            this.renderJournalEntries();
+        });
+
+        document.getElementById('journal-entries').addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+
+            const entryId = button.closest('.journal-entry').dataset.entryId;
+            if (button.dataset.action === 'edit') this.editJournalEntry(entryId);
+            if (button.dataset.action === 'delete') this.deleteJournalEntry(entryId);
+        });
+
+        // Journal view
+        document.getElementById('journal-search').addEventListener('input', (e) => {
+            this.journalQuery = e.target.value;
+            this.renderJournalView();
+        });
+
+        document.getElementById('journal-results').addEventListener('click', (e) => {
+            const button = e.target.closest('.journal-game');
+            if (button) {
+                this.openGameModal(parseInt(button.dataset.gameId));
+            }
+        });
+
+        // Auto-save notes on Ctrl+S or Cmd+S
+        notesTextarea.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key === 's') {
+                e.preventDefault();
+                this.saveNotes();
+            }
+        });
+
+        this.attachDataListeners();
+        this.attachCustomGameListeners();
+        this.attachListListeners();
+        this.attachInsightsListeners();
+        this.attachKeyboardListeners();
+        this.attachProfileListeners();
+        this.attachSyncListeners();
+
+        document.getElementById('apply-update').addEventListener('click', () => {
+            this.applyUpdate();
+        });
+
+        document.getElementById('dismiss-update').addEventListener('click', () => {
+            document.getElementById('update-banner').hidden = true;
+        });
     }
 
-    updateNotesCharCount() {
-        const notesTextarea = document.getElementById('game-notes');
-        const charCount = document.getElementById('notes-char-count');
-        const currentLength = notesTextarea.value.length;
-        charCount.textContent = `${currentLength} / 1000`;
+    attachSyncListeners() {
+        // Only fires for changes made in other tabs and windows
+        window.addEventListener('storage', (e) => {
+            // A null key means another tab cleared all storage
+            if (e.key === null || e.key === STORAGE_PROFILES_KEY) {
+                this.syncProfiles();
+            }
+            if (e.key === null || e.key === this.getProfileKey(STORAGE_KEY)) {
+                this.syncFromStorage();
+            } else if (e.key === this.getProfileKey(STORAGE_DRAFTS_KEY)) {
+                this.checkDraftConflict(e.oldValue, e.newValue);
+            } else if (this.activeSpecialView === 'compare' && e.key.startsWith(STORAGE_KEY)) {
+                this.renderCompareView();
+            }
+        });
+
+        document.getElementById('keep-my-draft').addEventListener('click', () => {
+            this.resolveDraftConflict(true);
+        });
+
+        document.getElementById('use-other-draft').addEventListener('click', () => {
+            this.resolveDraftConflict(false);
+        });
     }
 
-    saveNotes() {
-        if (!this.currentGameId) return;
+    attachProfileListeners() {
+        document.getElementById('profile-select').addEventListener('change', (e) => {
+            this.switchProfile(e.target.value);
+        });
 
-        const notesTextarea = document.getElementById('game-notes');
-        const notes = notesTextarea.value.trim();
+        document.getElementById('add-profile').addEventListener('click', () => {
+            this.createProfile();
+        });
 
-        this.updateGameProgress(this.currentGameId, { notes });
+        document.getElementById('rename-profile').addEventListener('click', () => {
+            this.renameProfile();
+        });
 
-        // Show visual feedback
-        const saveBtn = document.getElementById('save-notes');
-        const originalText = saveBtn.textContent;
-        saveBtn.textContent = 'Saved!';
-        saveBtn.style.background = 'linear-gradient(135deg, var(--success), var(--success))';
+        document.getElementById('delete-profile').addEventListener('click', () => {
+            this.deleteProfile();
+        });
 
-        setTimeout(() => {
-            saveBtn.textContent = originalText;
-            saveBtn.style.background = '';
-        }, 1500);
+        document.getElementById('compare-profile').addEventListener('change', (e) => {
+            this.compareProfileId = e.target.value;
+            this.renderCompareView();
+        });
 
-        // Re-render games to update any notes previews
-        this.renderGames();
+        document.getElementById('compare-content').addEventListener('click', (e) => {
+            const button = e.target.closest('.compare-game');
+            if (button) {
+                this.openGameModal(parseInt(button.dataset.gameId));
+            }
+        });
     }
 
-    closeGameModal() {
-        const modal = document.getElementById('game-modal');
-        modal.classList.remove('active');
-        document.body.style.overflow = 'auto';
-        this.currentGameId = null;
+    attachKeyboardListeners() {
+        document.addEventListener('keydown', (e) => {
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'k') {
+                e.preventDefault();
+                if (document.getElementById('command-palette').classList.contains('active')) {
+                    this.closeCommandPalette();
+                } else {
+                    this.openCommandPalette();
+                }
+                return;
+            }
+
+            // Undo and redo, except while typing where they edit the text
+            if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z' && !this.isTypingTarget(e.target)) {
+                e.preventDefault();
+                if (e.shiftKey) {
+                    this.redo();
+                } else {
+                    this.undo();
+                }
+                return;
+            }
+
+            // Close the topmost dialog on Escape
+            if (e.key === 'Escape') {
+                if (document.getElementById('command-palette').classList.contains('active')) {
+                    this.closeCommandPalette();
+                } else if (document.getElementById('custom-game-modal').classList.contains('active')) {
+                    this.closeCustomGameModal();
+                } else if (this.pendingImport) {
+                    this.closeImportModal();
+                } else {
+                    this.closeGameModal();
+                }
+                return;
+            }
+
+            const modal = this.getActiveModal();
+            if (e.key === 'Tab' && modal) {
+                this.trapFocus(e, modal);
+                return;
+            }
+
+            // 1-5 rate the open game in whole stars, unless typing or aspect scores decide the rating
+            const isRatingKey = /^[1-5]$/.test(e.key) && !e.ctrlKey && !e.metaKey && !e.altKey;
+            if (isRatingKey && modal && modal.id === 'game-modal' && !this.isTypingTarget(e.target) &&
+                !this.hasAspectScores(this.getGameProgress(this.currentGameId))) {
+                e.preventDefault();
+                this.rateGame(parseInt(e.key));
+            }
+        });
+
+        // One listener for every card, including ones rendered later
+        document.getElementById('games-grid').addEventListener('click', (e) => {
+            const card = e.target.closest('.game-card');
+            if (card) {
+                this.openGameModal(parseInt(card.dataset.gameId));
+            }
+        });
+
+        document.getElementById('games-grid').addEventListener('keydown', (e) => {
+            this.handleGridKeydown(e, '.game-card');
+        });
+
+        window.addEventListener('scroll', () => this.scheduleGridWindow(), { passive: true });
+        window.addEventListener('resize', () => this.scheduleGridWindow());
+
+        document.getElementById('recommendations-grid').addEventListener('click', (e) => {
+            const dismiss = e.target.closest('.recommendation-dismiss');
+            const card = e.target.closest('.recommendation-card');
+            if (dismiss) {
+                this.dismissRecommendation(parseInt(dismiss.dataset.gameId));
+            } else if (card && !e.target.closest('.why-this')) {
+                // Expanding "Why this?" shouldn't open the game
+                this.openGameModal(parseInt(card.dataset.gameId));
+            }
+        });
+
+        document.getElementById('recommendations-grid').addEventListener('keydown', (e) => {
+            this.handleGridKeydown(e, '.recommendation-card');
+        });
+
+        document.getElementById('toast-action').addEventListener('click', () => {
+            const action = this.toastAction;
+            this.hideToast();
+            if (action) action();
+        });
+
+        // Command palette
+        document.getElementById('open-command-palette').addEventListener('click', () => {
+            this.openCommandPalette();
+        });
+
+        const commandInput = document.getElementById('command-input');
+        commandInput.addEventListener('input', () => {
+            this.updateCommandResults();
+        });
+
+        commandInput.addEventListener('keydown', (e) => {
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveActiveCommand(e.key === 'ArrowDown' ? 1 : -1);
+            } else if (e.key === 'Enter') {
+                e.preventDefault();
+                this.runCommand(this.activeCommandIndex);
+            }
+        });
+
+        document.getElementById('command-results').addEventListener('click', (e) => {
+            const option = e.target.closest('.command-option');
+            if (option) {
+                this.runCommand(parseInt(option.dataset.index));
+            }
+        });
+
+        document.getElementById('command-palette').addEventListener('click', (e) => {
+            if (e.target.id === 'command-palette') {
+                this.closeCommandPalette();
+            }
+        });
     }
 
-    updateModalStars(rating) {
-        const stars = document.querySelectorAll('.star-rating .star');
-        stars.forEach((star, index) => {
-            if (index < rating) {
-                star.classList.add('active');
-            } else {
-                star.classList.remove('active');
+    attachInsightsListeners() {
+        const insights = document.getElementById('insights-grid');
+        const applySegment = (segment) => {
+            this.applyInsightFilter(segment.dataset.facet, decodeURIComponent(segment.dataset.value));
+        };
+
+        insights.addEventListener('click', (e) => {
+            const segment = e.target.closest('.chart-segment');
+            if (segment) applySegment(segment);
+        });
+
+        insights.addEventListener('keydown', (e) => {
+            const segment = e.target.closest('.chart-segment');
+            if (segment && (e.key === 'Enter' || e.key === ' ')) {
+                e.preventDefault();
+                applySegment(segment);
             }
         });
     }
 
-    // Rating System
-    rateGame(rating) {
-        if (!this.currentGameId) return;
+    attachListListeners() {
+        // View tabs
+        document.getElementById('view-tabs-list').addEventListener('click', (e) => {
+            const tab = e.target.closest('.view-tab');
+            if (tab) {
+                this.showView(tab.dataset.listId);
+            }
+        });
 
-        this.updateGameProgress(this.currentGameId, {
-            played: true,
-            rating: rating
+        document.getElementById('new-list-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('new-list-name');
+            const list = this.createList(input.value);
+            if (list) {
+                input.value = '';
+                this.showView(list.id);
+            }
         });
 
-        this.updateModalStars(rating);
-        const ratingText = document.getElementById('rating-text');
-        ratingText.textContent = `You rated this ${rating} out of 5 stars`;
+        // List page actions
+        document.getElementById('rename-list').addEventListener('click', () => {
+            this.renameList(this.activeListId);
+        });
 
-        // Show action buttons
-        document.getElementById('mark-unplayed').style.display = 'inline-block';
-        document.getElementById('clear-rating').style.display = 'inline-block';
+        document.getElementById('delete-list').addEventListener('click', () => {
+            this.deleteList(this.activeListId);
+            this.showView(this.activeListId);
+        });
 
-        // Re-render games to reflect changes
-        this.renderGames();
-    }
+        const items = document.getElementById('list-items');
+        items.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            const item = e.target.closest('.list-item');
+            if (!button || !item) return;
 
-    markAsUnplayed() {
-        if (!this.currentGameId) return;
+            const gameId = parseInt(item.dataset.gameId);
+            const index = this.getList(this.activeListId).gameIds.indexOf(gameId);
 
-        this.updateGameProgress(this.currentGameId, {
-            played: false,
-            rating: 0
+            if (button.dataset.action === 'open') this.openGameModal(gameId);
+            if (button.dataset.action === 'up') this.moveGameInList(this.activeListId, gameId, index - 1);
+            if (button.dataset.action === 'down') this.moveGameInList(this.activeListId, gameId, index + 1);
+            if (button.dataset.action === 'remove') this.toggleGameInList(this.activeListId, gameId);
         });
 
-        this.updateModalStars(0);
-        const ratingText = document.getElementById('rating-text');
-        ratingText.textContent = 'Not yet rated';
+        // Keyboard reordering: Alt+Up/Down moves, Home/End jump, Delete removes
+        items.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.list-item');
+            if (!item || e.target !== item) return;
 
-        // Hide action buttons
-        document.getElementById('mark-unplayed').style.display = 'none';
-        document.getElementById('clear-rating').style.display = 'none';
+            const gameId = parseInt(item.dataset.gameId);
+            const list = this.getList(this.activeListId);
+            const index = list.gameIds.indexOf(gameId);
 
-        // Re-render games
-        this.renderGames();
-    }
+            if (e.altKey && e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.moveGameInList(list.id, gameId, index - 1);
+            } else if (e.altKey && e.key === 'ArrowDown') {
+                e.preventDefault();
+                this.moveGameInList(list.id, gameId, index + 1);
+            } else if (e.altKey && e.key === 'Home') {
+                e.preventDefault();
+                this.moveGameInList(list.id, gameId, 0);
+            } else if (e.altKey && e.key === 'End') {
+                e.preventDefault();
+                this.moveGameInList(list.id, gameId, list.gameIds.length - 1);
+            } else if (e.key === 'ArrowUp' && item.previousElementSibling) {
+                e.preventDefault();
+                item.previousElementSibling.focus();
+            } else if (e.key === 'ArrowDown' && item.nextElementSibling) {
+                e.preventDefault();
+                item.nextElementSibling.focus();
+            } else if (e.key === 'Enter') {
+                this.openGameModal(gameId);
+            } else if (e.key === 'Delete') {
+                this.toggleGameInList(list.id, gameId);
+            }
+        });
 
-    clearRating() {
-        if (!this.currentGameId) return;
+        // Drag and drop reordering
+        items.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.list-item');
+            if (!item) return;
+            this.draggedListGameId = parseInt(item.dataset.gameId);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', item.dataset.gameId);
+        });
 
-        this.updateGameProgress(this.currentGameId, {
-            played: false,
-            rating: 0
+        items.addEventListener('dragover', (e) => {
+            if (this.draggedListGameId === null) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
         });
 
-        this.updateModalStars(0);
-        const ratingText = document.getElementById('rating-text');
-        ratingText.textContent = 'Not yet rated';
+        items.addEventListener('drop', (e) => {
+            e.preventDefault();
+            const target = e.target.closest('.list-item');
+            if (!target || this.draggedListGameId === null) return;
 
-        // Hide action buttons
-        document.getElementById('mark-unplayed').style.display = 'none';
-        document.getElementById('clear-rating').style.display = 'none';
+            const list = this.getList(this.activeListId);
+            const targetIndex = list.gameIds.indexOf(parseInt(target.dataset.gameId));
+            this.moveGameInList(list.id, this.draggedListGameId, targetIndex);
+        });
 
-        // Re-render games
-        this.renderGames();
+        items.addEventListener('dragend', () => {
+            this.draggedListGameId = null;
+            items.querySelectorAll('.dragging').forEach(item => item.classList.remove('dragging'));
+        });
+
+        // Modal list membership
+        document.getElementById('modal-lists').addEventListener('change', (e) => {
+            if (e.target.dataset.listId) {
+                this.toggleGameInList(e.target.dataset.listId, this.currentGameId);
+            }
+        });
+
+        document.getElementById('modal-new-list-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            const input = document.getElementById('modal-new-list-name');
+            if (this.createList(input.value, [this.currentGameId])) {
+                input.value = '';
+            }
+        });
     }
 
-    // Event Listeners
-    attachEventListeners() {
-        // Search
-        document.getElementById('search-input').addEventListener('input', (e) => {
-            this.filters.search = e.target.value;
-            this.renderGames();
+    attachCustomGameListeners() {
+        document.getElementById('add-custom-game').addEventListener('click', () => {
+            this.openCustomGameModal();
         });
 
-        // Filters
-        document.getElementById('genre-filter').addEventListener('change', (e) => {
-            this.filters.genre = e.target.value;
-            this.renderGames();
+        document.getElementById('edit-custom-game').addEventListener('click', () => {
+            this.openCustomGameModal(this.currentGameId);
         });
 
-        document.getElementById('decade-filter').addEventListener('change', (e) => {
-            this.filters.decade = e.target.value;
-            this.renderGames();
+        document.getElementById('delete-custom-game').addEventListener('click', () => {
+            this.deleteCustomGame(this.currentGameId);
         });
 
-        document.getElementById('status-filter').addEventListener('change', (e) => {
-            this.filters.status = e.target.value;
-            this.renderGames();
+        document.getElementById('custom-game-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveCustomGame();
         });
 
-        document.getElementById('sort-by').addEventListener('change', (e) => {
-            this.filters.sortBy = e.target.value;
-            this.renderGames();
+        document.getElementById('cancel-custom-game').addEventListener('click', () => {
+            this.closeCustomGameModal();
         });
 
-        // Modal close
-        document.querySelector('.modal-close').addEventListener('click', () => {
-            this.closeGameModal();
+        document.querySelector('#custom-game-modal .modal-close').addEventListener('click', () => {
+            this.closeCustomGameModal();
         });
 
-        // Close modal on outside click
-        document.getElementById('game-modal').addEventListener('click', (e) => {
-            if (e.target.id === 'game-modal') {
-                this.closeGameModal();
+        document.getElementById('custom-game-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'custom-game-modal') {
+                this.closeCustomGameModal();
             }
         });
+    }
 
-        // Close modal on Escape key
-        document.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.closeGameModal();
-            }
+    attachDataListeners() {
+        document.getElementById('export-json').addEventListener('click', () => {
+            this.exportProgress('json');
         });
 
-        // Star rating
-        document.querySelectorAll('.star-rating .star').forEach(star => {
-            star.addEventListener('click', () => {
-                const rating = parseInt(star.dataset.rating);
-                this.rateGame(rating);
-            });
+        document.getElementById('export-csv').addEventListener('click', () => {
+            this.exportProgress('csv');
+        });
 
-            // Hover effect
-            star.addEventListener('mouseenter', () => {
-                const rating = parseInt(star.dataset.rating);
-                this.updateModalStars(rating);
-            });
+        const fileInput = document.getElementById('import-file');
+        document.getElementById('import-progress').addEventListener('click', () => {
+            fileInput.click();
         });
 
-        // Reset stars on mouse leave
-        document.querySelector('.star-rating').addEventListener('mouseleave', () => {
-            if (this.currentGameId) {
-                const progress = this.getGameProgress(this.currentGameId);
-                this.updateModalStars(progress.rating);
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) {
+                this.startImport(fileInput.files[0]);
             }
         });
 
-        // Mark as unplayed button
-        document.getElementById('mark-unplayed').addEventListener('click', () => {
-            this.markAsUnplayed();
+        // Preview updates as options change
+        document.querySelectorAll('input[name="import-mode"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateImportPreview());
+        });
+        document.getElementById('import-policy').addEventListener('change', () => {
+            this.updateImportPreview();
         });
 
-        // Clear rating button
-        document.getElementById('clear-rating').addEventListener('click', () => {
-            this.clearRating();
+        document.getElementById('confirm-import').addEventListener('click', () => {
+            this.applyImport();
         });
 
-        // Notes functionality
-        const notesTextarea = document.getElementById('game-notes');
-        notesTextarea.addEventListener('input', () => {
-            this.updateNotesCharCount();
+        document.getElementById('cancel-import').addEventListener('click', () => {
+            this.closeImportModal();
         });
 
-        // Save notes button
-        document.getElementById('save-notes').addEventListener('click', () => {
-            this.saveNotes();
+        document.querySelector('#import-modal .modal-close').addEventListener('click', () => {
+            this.closeImportModal();
         });
 
-        // Auto-save notes on Ctrl+S or Cmd+S
-        notesTextarea.addEventListener('keydown', (e) => {
-            if ((e.ctrlKey || e.metaKey) && e.key === 's') {
-                e.preventDefault();
-                this.saveNotes();
+        document.getElementById('import-modal').addEventListener('click', (e) => {
+            if (e.target.id === 'import-modal') {
+                this.closeImportModal();
             }
         });
+
+        // Storage warning banner
+        document.getElementById('download-backup').addEventListener('click', () => {
+            this.downloadStorageBackup();
+        });
+
+        document.getElementById('download-quarantine').addEventListener('click', () => {
+            this.downloadQuarantine();
+        });
+
+        document.getElementById('discard-quarantine').addEventListener('click', () => {
+            this.discardQuarantine();
+        });
+
+        document.getElementById('dismiss-warning').addEventListener('click', () => {
+            this.dismissStorageWarning();
+        });
     }
 
     showError(message) {
         const gamesGrid = document.getElementById('games-grid');
-        gamesGrid.innerHTML = `
+        this.gridGames = [];
+        gamesGrid.innerHTML = html`
             <div class="empty-state">
                 <h3>Error</h3>
                 <p>${message}</p>
@@ -679,7 +6017,9 @@ class GameTracker {
 }
 
 // Initialize the app when DOM is loaded
+// Pages without the app shell (e.g. tests/index.html) only load the class
 document.addEventListener('DOMContentLoaded', () => {
+    if (!document.getElementById('games-grid')) return;
     new GameTracker();
     initParticles();
 });
@@ -0,0 +1,249 @@
+// Serve the project folder (e.g. `python3 -m http.server`) and open benchmark/index.html; the page
+// fetches the app's index.html and games.json, which browsers don't allow from file:// URLs
+
+const BENCHMARK_CATALOG_SIZE = 10000;
+const BENCHMARK_SEARCH = 'legend';
+// Time between simulated keystrokes, about a quick typist's pace
+const BENCHMARK_KEYSTROKE_DELAY = 60;
+
+// The catalog repeated with numbered titles ("Celeste 2", "Celeste 3"...) and years spread
+// over four decades, so searching, filtering and sorting have realistic work to do
+function generateCatalog(catalog, size) {
+    return Array.from({ length: size }, (_, index) => {
+        const game = catalog[index % catalog.length];
+        const copy = Math.floor(index / catalog.length);
+        return {
+            ...game,
+            id: index + 1,
+            title: copy === 0 ? game.title : `${game.title} ${copy + 1}`,
+            year: 1980 + (game.year + copy) % 40
+        };
+    });
+}
+
+// The real app with the generated catalog. It keeps a profile of its own and never writes to
+// storage, so running the benchmark leaves your progress alone.
+class BenchmarkTracker extends GameTracker {
+    constructor() {
+        super();
+        // Draw the grid the old way instead, to compare against
+        this.fullRebuild = false;
+        this.renderTime = 0;
+        this.renderCount = 0;
+        this.measuring = false;
+    }
+
+    // Resolves once the app has loaded and drawn the grid
+    init() {
+        this.ready = super.init();
+        return this.ready;
+    }
+
+    loadProfiles() {
+        this.profiles = [{ id: 'benchmark', name: 'Benchmark', createdAt: new Date().toISOString() }];
+        this.activeProfileId = 'benchmark';
+    }
+
+    saveProfiles() {}
+
+    writeProgress() {
+        return true;
+    }
+
+    registerServiceWorker() {}
+
+    async loadGames() {
+        const response = await fetch('../games.json');
+        this.catalogGames = this.validateCatalog(generateCatalog(await response.json(), BENCHMARK_CATALOG_SIZE));
+        this.refreshGames();
+    }
+
+    renderGames() {
+        this.renderCount++;
+        this.measure(() => super.renderGames());
+    }
+
+    // Times everything `run` does, e.g. a whole rating with its saving, stats and recommendations.
+    // Renders inside it count towards its time rather than being timed again.
+    measure(run) {
+        if (this.measuring) {
+            run();
+            return;
+        }
+
+        this.measuring = true;
+        const start = performance.now();
+        try {
+            run();
+            // Reading layout makes the browser finish style and layout now, inside the timing
+            document.body.getBoundingClientRect();
+        } finally {
+            this.measuring = false;
+            this.renderTime += performance.now() - start;
+        }
+    }
+
+    // Before, a rating redrew the whole grid too
+    updateGameCard(gameId) {
+        if (this.fullRebuild) {
+            this.renderGames();
+        } else {
+            super.updateGameCard(gameId);
+        }
+    }
+
+    // How the grid was drawn before: every card rebuilt through innerHTML, then a click listener on each
+    renderGridWindow() {
+        if (!this.fullRebuild) {
+            super.renderGridWindow();
+            return;
+        }
+
+        const grid = document.getElementById('games-grid');
+        grid.innerHTML = this.gridGames.map(game => this.createGameCard(game)).join('');
+        grid.querySelectorAll('.game-card').forEach(card => {
+            card.addEventListener('click', () => this.openGameModal(parseInt(card.dataset.gameId)));
+        });
+    }
+}
+
+const wait = delay => new Promise(resolve => setTimeout(resolve, delay));
+
+// Each step starts from the full, unfiltered grid sorted by title, after its untimed `setup`
+const BENCHMARK_STEPS = [
+    {
+        name: `Show all ${BENCHMARK_CATALOG_SIZE.toLocaleString()} games`,
+        run: async tracker => {
+            document.getElementById('games-grid').replaceChildren();
+            tracker.renderGames();
+        }
+    },
+    {
+        name: `Type "${BENCHMARK_SEARCH}" into the search box`,
+        run: async tracker => {
+            const input = document.getElementById('search-input');
+            for (let length = 1; length <= BENCHMARK_SEARCH.length; length++) {
+                input.value = BENCHMARK_SEARCH.slice(0, length);
+                if (tracker.fullRebuild) {
+                    // The old search box redrew the grid on every keystroke
+                    tracker.filters.search = input.value;
+                    tracker.renderGames();
+                } else {
+                    input.dispatchEvent(new Event('input'));
+                }
+                await wait(BENCHMARK_KEYSTROKE_DELAY);
+            }
+            await wait(SEARCH_DEBOUNCE_DELAY);
+        }
+    },
+    {
+        // Re-rating a finished game, timed from the click on a star to the updated page
+        name: 'Rate one game',
+        setup: tracker => {
+            const game = tracker.getFilteredGames()[0];
+            if (!tracker.isPlayed(tracker.getGameProgress(game.id))) {
+                tracker.updateGameProgress(game.id, { status: 'completed', rating: 3 });
+            }
+        },
+        run: async tracker => {
+            const game = tracker.gridGames[0];
+            const rating = tracker.getGameProgress(game.id).rating % 5 + 1;
+            tracker.openGameModal(game.id);
+            tracker.measure(() => tracker.rateGame(rating));
+            tracker.closeGameModal();
+        }
+    },
+    {
+        name: 'Sort by release year',
+        run: async tracker => {
+            tracker.filters.sortBy = 'year';
+            tracker.renderGames();
+        }
+    }
+];
+
+// Runs every step in one mode; returns the time, render count and cards drawn for each
+async function runSteps(tracker, fullRebuild) {
+    let cardsDrawn = 0;
+    const countCards = records => records.forEach(record => {
+        cardsDrawn += [...record.addedNodes].filter(node => node.classList && node.classList.contains('game-card')).length;
+    });
+    const observer = new MutationObserver(countCards);
+    observer.observe(document.getElementById('games-grid'), { childList: true });
+
+    tracker.fullRebuild = fullRebuild;
+    const results = [];
+    for (const step of BENCHMARK_STEPS) {
+        window.scrollTo(0, 0);
+        document.getElementById('search-input').value = '';
+        tracker.filters.search = '';
+        tracker.filters.sortBy = 'title';
+        if (step.setup) step.setup(tracker);
+        tracker.renderGames();
+        await wait(0);
+        observer.takeRecords();
+
+        tracker.renderTime = 0;
+        tracker.renderCount = 0;
+        cardsDrawn = 0;
+        await step.run(tracker);
+        countCards(observer.takeRecords());
+        results.push({ time: tracker.renderTime, renders: tracker.renderCount, cardsDrawn });
+    }
+
+    observer.disconnect();
+    return results;
+}
+
+function formatResult(result) {
+    const renders = `${result.renders} ${result.renders === 1 ? 'render' : 'renders'}`;
+    const cards = `${result.cardsDrawn.toLocaleString()} ${result.cardsDrawn === 1 ? 'card' : 'cards'} drawn`;
+    return html`${result.time.toFixed(1)} ms <small>(${renders}, ${cards})</small>`;
+}
+
+async function runBenchmark(tracker) {
+    const button = document.getElementById('run-benchmark');
+    const status = document.getElementById('benchmark-status');
+    button.disabled = true;
+    status.textContent = 'Running with every card rebuilt...';
+    const before = await runSteps(tracker, true);
+    status.textContent = 'Running with keyed, windowed cards...';
+    const after = await runSteps(tracker, false);
+
+    document.getElementById('benchmark-results').innerHTML = BENCHMARK_STEPS.map((step, index) => html`
+        <tr>
+            <th scope="row">${step.name}</th>
+            <td>${formatResult(before[index])}</td>
+            <td>${formatResult(after[index])}</td>
+            <td>${(before[index].time / Math.max(after[index].time, 0.1)).toFixed(0)}×</td>
+        </tr>
+    `).join('');
+
+    window.scrollTo(0, 0);
+    tracker.renderGames();
+    status.textContent = `Done. The grid now holds ${document.querySelectorAll('#games-grid .game-card').length} cards.`;
+    button.disabled = false;
+}
+
+async function startBenchmark() {
+    const status = document.getElementById('benchmark-status');
+    try {
+        const response = await fetch('../index.html');
+        const page = new DOMParser().parseFromString(await response.text(), 'text/html');
+        page.querySelectorAll('script').forEach(script => script.remove());
+        document.getElementById('app-shell').append(...[...page.body.children].map(node => document.importNode(node, true)));
+
+        const tracker = new BenchmarkTracker();
+        await tracker.ready;
+        status.textContent = `Loaded ${tracker.games.length.toLocaleString()} games.`;
+
+        const button = document.getElementById('run-benchmark');
+        button.disabled = false;
+        button.addEventListener('click', () => runBenchmark(tracker));
+    } catch (error) {
+        console.error('Error starting the benchmark:', error);
+        status.textContent = 'Could not load the app. Serve the project folder (e.g. python3 -m http.server) and open this page from there.';
+    }
+}
+
+document.addEventListener('DOMContentLoaded', startBenchmark);
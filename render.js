@@ -0,0 +1,121 @@
+// Rendering helpers shared by every template in the app
+
+// Markup that is already safe to insert: built by html`` or by the sanitizer below
+class SafeHtml {
+    constructor(value) {
+        this.value = value;
+    }
+
+    toString() {
+        return this.value;
+    }
+}
+
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Arrays are rendered item by item; null, undefined and false render nothing
+function renderValue(value) {
+    if (value === null || value === undefined || value === false) return '';
+    if (Array.isArray(value)) return value.map(renderValue).join('');
+    if (value instanceof SafeHtml) return value.value;
+    return escapeHtml(value);
+}
+
+// Template tag that escapes every interpolated value unless it is SafeHtml, e.g.
+// element.innerHTML = html`<h3>${game.title}</h3>`
+function html(strings, ...values) {
+    let result = strings[0];
+    values.forEach((value, index) => {
+        result += renderValue(value) + strings[index + 1];
+    });
+    return new SafeHtml(result);
+}
+
+// Only web and mail links may become clickable; anything else (javascript:, data:...) is dropped
+function sanitizeUrl(url) {
+    const trimmed = String(url).trim();
+    return /^(https?:|mailto:)/i.test(trimmed) ? trimmed : '';
+}
+
+// The one path for user formatting: # headings, - or 1. lists, >! spoiler lines,
+// **bold** and [links](https://...). Text is escaped first, and only these
+// fixed tags are added back, so nothing the user types becomes live markup.
+function formatRichText(text) {
+    const inline = value => {
+        const parts = [];
+        const pattern = /\*\*([^*]+)\*\*|\[([^\]]+)\]\(([^)\s]+)\)/g;
+        let last = 0;
+        let match;
+
+        while ((match = pattern.exec(value)) !== null) {
+            parts.push(value.slice(last, match.index));
+            if (match[1] !== undefined) {
+                parts.push(html`<strong>${match[1]}</strong>`);
+            } else {
+                const url = sanitizeUrl(match[3]);
+                parts.push(url
+                    ? html`<a href="${url}" target="_blank" rel="noopener noreferrer">${match[2]}</a>`
+                    : match[0]);
+            }
+            last = pattern.lastIndex;
+        }
+        parts.push(value.slice(last));
+        return parts;
+    };
+
+    const blocks = [];
+    String(text).split('\n').forEach(line => {
+        const previous = blocks[blocks.length - 1];
+        const heading = /^(#{1,3})\s+(.*)$/.exec(line);
+        const bullet = /^\s*[-*]\s+(.*)$/.exec(line);
+        const numbered = /^\s*\d+\.\s+(.*)$/.exec(line);
+        const spoiler = /^\s*>!\s?(.*)$/.exec(line);
+
+        if (heading) {
+            blocks.push({ type: 'heading', level: heading[1].length, lines: [heading[2]] });
+        } else if (bullet || numbered || spoiler) {
+            const type = bullet ? 'ul' : (numbered ? 'ol' : 'spoiler');
+            const content = (bullet || numbered || spoiler)[1];
+            if (previous && previous.type === type) {
+                previous.lines.push(content);
+            } else {
+                blocks.push({ type, lines: [content] });
+            }
+        } else if (!line.trim()) {
+            blocks.push({ type: 'break', lines: [] });
+        } else if (previous && previous.type === 'paragraph') {
+            previous.lines.push(line);
+        } else {
+            blocks.push({ type: 'paragraph', lines: [line] });
+        }
+    });
+
+    const lines = block => block.lines.map((line, index) => [index > 0 ? html`<br>` : '', inline(line)]);
+
+    return html`${blocks.map(block => {
+        switch (block.type) {
+            case 'heading':
+                // Entry headings sit below the modal's own h3 headings
+                if (block.level === 1) return html`<h4>${inline(block.lines[0])}</h4>`;
+                if (block.level === 2) return html`<h5>${inline(block.lines[0])}</h5>`;
+                return html`<h6>${inline(block.lines[0])}</h6>`;
+            case 'ul':
+                return html`<ul>${block.lines.map(line => html`<li>${inline(line)}</li>`)}</ul>`;
+            case 'ol':
+                return html`<ol>${block.lines.map(line => html`<li>${inline(line)}</li>`)}</ol>`;
+            case 'spoiler':
+                return html`<details class="spoiler"><summary>Spoiler</summary>${lines(block)}</details>`;
+            case 'paragraph':
+                return html`<p>${lines(block)}</p>`;
+            default:
+                return '';
+        }
+    })}`;
+}
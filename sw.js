@@ -0,0 +1,87 @@
+// Service worker: keeps a copy of the app and the game catalog so the tracker installs and works offline
+
+// Bump this whenever any file below changes; browsers then download the new files in the
+// background and the page offers to reload into the new version
+const CACHE_VERSION = 15;
+const CACHE_PREFIX = 'game-tracker-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+const PRECACHE_URLS = [
+    './',
+    'index.html',
+    'styles.css',
+    'render.js',
+    'app.js',
+    'games.json',
+    'manifest.webmanifest',
+    'icon.svg'
+];
+
+self.addEventListener('install', (event) => {
+    // Wait (without skipWaiting) until the page asks to update, so an open page never runs
+    // against files from a different version
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(PRECACHE_URLS)));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        const names = await caches.keys();
+        await Promise.all(names
+            .filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
+            .map(name => caches.delete(name)));
+        await self.clients.claim();
+    })());
+});
+
+// Sent by the page when the user accepts the "update available" prompt
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+    if (url.pathname.endsWith('/games.json')) {
+        event.respondWith(fetchCatalog(request));
+    } else {
+        event.respondWith(fetchAppFile(request));
+    }
+});
+
+// The catalog can be updated without a new app version, so try the network first and keep the
+// cached copy current; offline, the last copy that loaded is used
+async function fetchCatalog(request) {
+    const cache = await caches.open(CACHE_NAME);
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            await cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+        throw error;
+    }
+}
+
+// App files come from this version's cache so they always match each other
+async function fetchAppFile(request) {
+    const cached = await caches.match(request, { cacheName: CACHE_NAME, ignoreSearch: request.mode === 'navigate' });
+    if (cached) return cached;
+
+    try {
+        return await fetch(request);
+    } catch (error) {
+        // Any page in scope (e.g. with a query string) falls back to the app itself
+        if (request.mode === 'navigate') {
+            const page = await caches.match('index.html', { cacheName: CACHE_NAME });
+            if (page) return page;
+        }
+        throw error;
+    }
+}
@@ -0,0 +1,233 @@
+// Open tests/index.html in a browser (served from the project root) to run these
+
+const results = [];
+
+function test(name, fn) {
+    try {
+        fn();
+        results.push({ name, passed: true });
+    } catch (error) {
+        results.push({ name, passed: false, message: error.message });
+    }
+}
+
+function assert(condition, message) {
+    if (!condition) throw new Error(message);
+}
+
+function assertEqual(actual, expected, message) {
+    if (actual !== expected) {
+        throw new Error(`${message}: expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+    }
+}
+
+// Parse markup into a detached container, the same way innerHTML does in the app
+function render(markup) {
+    const container = document.createElement('div');
+    container.innerHTML = markup;
+    return container;
+}
+
+// Nothing in the rendered markup may run script or link to one
+function assertInert(container) {
+    assertEqual(container.querySelectorAll('script, img, iframe, svg, object').length, 0, 'injected elements');
+    container.querySelectorAll('*').forEach(element => {
+        [...element.attributes].forEach(attribute => {
+            assert(!attribute.name.startsWith('on'), `event handler attribute ${attribute.name} on <${element.tagName.toLowerCase()}>`);
+            assert(!/^\s*javascript:/i.test(attribute.value), `javascript: URL in ${attribute.name}`);
+        });
+    });
+}
+
+const SCRIPT_TITLE = '<script>alert("title")</script>';
+const HANDLER_THEME = '<img src=x onerror="alert(1)">';
+const HANDLER_NOTE = 'Great boss <b onmouseover="alert(1)">fight</b>';
+const JAVASCRIPT_NOTE = '[walkthrough](javascript:alert(1)) and <a href="javascript:alert(2)">cheats</a>';
+
+function createTracker(progress = {}) {
+    const tracker = Object.create(GameTracker.prototype);
+    tracker.userProgress = progress;
+    tracker.settings = JSON.parse(JSON.stringify(DEFAULT_SETTINGS));
+    tracker.lists = [];
+    tracker.dismissedRecommendations = [];
+    tracker.storageWarnings = [];
+    tracker.catalogWarnings = [];
+    return tracker;
+}
+
+function createGame(overrides = {}) {
+    return {
+        id: 1,
+        title: SCRIPT_TITLE,
+        year: 2001,
+        genre: 'Action <i>RPG</i>',
+        themes: [HANDLER_THEME, 'Fantasy'],
+        custom: true,
+        ...overrides
+    };
+}
+
+function createEntry(text) {
+    return { id: 'entry-1', text, createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-01-01T00:00:00.000Z' };
+}
+
+// html`` and its helpers
+
+test('html escapes interpolated strings', () => {
+    const markup = html`<p title="${'" onclick="alert(1)'}">${SCRIPT_TITLE}</p>`;
+    const container = render(markup);
+    assertInert(container);
+    assertEqual(container.querySelector('p').textContent, SCRIPT_TITLE, 'text');
+    assertEqual(container.querySelector('p').title, '" onclick="alert(1)', 'attribute');
+});
+
+test('html keeps nested html`` fragments and arrays as markup', () => {
+    const items = ['<a>', '<b>'].map(item => html`<li>${item}</li>`);
+    const container = render(html`<ul>${items}</ul>`);
+    assertEqual(container.querySelectorAll('li').length, 2, 'list items');
+    assertEqual(container.querySelector('li').textContent, '<a>', 'first item');
+});
+
+test('html renders null, undefined and false as nothing', () => {
+    assertEqual(String(html`<p>${null}${undefined}${false}</p>`), '<p></p>', 'markup');
+});
+
+test('sanitizeUrl only allows web and mail links', () => {
+    assertEqual(sanitizeUrl('https://example.com'), 'https://example.com', 'https');
+    assertEqual(sanitizeUrl('mailto:me@example.com'), 'mailto:me@example.com', 'mailto');
+    assertEqual(sanitizeUrl('javascript:alert(1)'), '', 'javascript');
+    assertEqual(sanitizeUrl(' JavaScript:alert(1)'), '', 'mixed case javascript');
+    assertEqual(sanitizeUrl('data:text/html,<script>alert(1)</script>'), '', 'data');
+});
+
+// Formatted journal text
+
+test('formatted text shows <script> as plain text', () => {
+    const container = render(formatRichText(`# ${SCRIPT_TITLE}\n- ${SCRIPT_TITLE}`));
+    assertInert(container);
+    assertEqual(container.querySelector('h4').textContent, SCRIPT_TITLE, 'heading');
+    assertEqual(container.querySelector('li').textContent, SCRIPT_TITLE, 'list item');
+});
+
+test('formatted text shows event handler attributes as plain text', () => {
+    const container = render(formatRichText(`${HANDLER_NOTE}\n>! ${HANDLER_THEME}`));
+    assertInert(container);
+    assertEqual(container.querySelector('p').textContent, HANDLER_NOTE, 'paragraph');
+    assert(container.querySelector('.spoiler').textContent.includes(HANDLER_THEME), 'spoiler keeps the text');
+});
+
+test('formatted text never links to javascript: URLs', () => {
+    const container = render(formatRichText(JAVASCRIPT_NOTE));
+    assertInert(container);
+    assertEqual(container.querySelectorAll('a').length, 0, 'links');
+    assertEqual(container.textContent, JAVASCRIPT_NOTE, 'text');
+});
+
+test('formatted text keeps allowed formatting', () => {
+    const container = render(formatRichText('**Loved it** see [the wiki](https://example.com/wiki)'));
+    assertEqual(container.querySelector('strong').textContent, 'Loved it', 'bold');
+    assertEqual(container.querySelector('a').getAttribute('href'), 'https://example.com/wiki', 'link');
+});
+
+test('formatted links cannot break out of the href attribute', () => {
+    const container = render(formatRichText('[x](https://example.com"onmouseover="alert(1))'));
+    assertInert(container);
+    assertEqual(container.querySelector('a').attributes.length, 3, 'href, target and rel only');
+});
+
+// Cards and views
+
+test('game cards show titles, genres and themes as plain text', () => {
+    const tracker = createTracker();
+    const container = render(tracker.createGameCard(createGame()));
+    assertInert(container);
+    assertEqual(container.querySelector('.game-title').textContent, SCRIPT_TITLE, 'title');
+    assertEqual(container.querySelector('.game-genre').textContent, 'Action <i>RPG</i>', 'genre');
+    assertEqual(container.querySelector('.theme-tag').textContent, HANDLER_THEME, 'theme');
+    assert(container.querySelector('.custom-badge'), 'custom badge still renders');
+});
+
+test('game cards show journal previews as plain text', () => {
+    [SCRIPT_TITLE, HANDLER_NOTE, JAVASCRIPT_NOTE].forEach(text => {
+        const tracker = createTracker({ 1: { status: 'completed', rating: 4, journal: [createEntry(text)] } });
+        const container = render(tracker.createGameCard(createGame({ title: 'Safe' })));
+        assertInert(container);
+        assertEqual(container.querySelectorAll('.star').length, 5, 'stars still render');
+    });
+});
+
+test('catalog covers must be image files inside the app', () => {
+    const tracker = createTracker();
+    const covers = ['javascript:alert(1)//.png', 'https://example.com/cover.png', '../private.png', '/cover.png', 'covers/ok.jpg"onerror="alert(1).png'];
+    const games = tracker.validateCatalog([
+        ...covers.map((cover, index) => createGame({ id: index + 1, cover })),
+        createGame({ id: 10, cover: 'covers/celeste.jpg' })
+    ]);
+    assertEqual(games.length, 1, 'games kept');
+    assertEqual(tracker.catalogWarnings.length, 1, 'warnings');
+
+    const container = render(tracker.createGameCard(games[0]));
+    assertEqual(container.querySelector('.game-cover').getAttribute('src'), 'covers/celeste.jpg', 'cover');
+});
+
+test('recommendation cards show titles, themes and sources as plain text', () => {
+    const source = createGame({ id: 2, title: HANDLER_NOTE });
+    const tracker = createTracker({ 2: { status: 'completed', rating: 5, journal: [] } });
+    const container = render(tracker.createRecommendationCard({
+        game: createGame(),
+        breakdown: { genre: 1, themes: { [HANDLER_THEME]: 0.5 }, era: 0.2, avgYear: 2000 },
+        sources: [{ game: source, contribution: 1.2 }]
+    }));
+    assertInert(container);
+    assertEqual(container.querySelector('.game-title').textContent, SCRIPT_TITLE, 'title');
+    assert(container.querySelector('.why-sources li').textContent.includes(HANDLER_NOTE), 'source title');
+    assert(container.querySelector('.why-breakdown').textContent.includes(HANDLER_THEME), 'theme breakdown');
+});
+
+test('the games grid only redraws cards whose game changed', () => {
+    const grid = document.createElement('div');
+    grid.id = 'games-grid';
+    document.getElementById('sandbox').appendChild(grid);
+    try {
+        const tracker = createTracker({ 1: { status: 'completed', rating: 4, journal: [] } });
+        tracker.gridGames = [createGame({ id: 1 }), createGame({ id: 2 })];
+        tracker.renderGridWindow();
+        const [first, second] = grid.querySelectorAll('.game-card');
+
+        tracker.userProgress[1] = { status: 'completed', rating: 2, journal: [] };
+        tracker.renderGridWindow();
+        const cards = grid.querySelectorAll('.game-card');
+        assertEqual(cards.length, 2, 'cards');
+        assert(cards[0] !== first && !first.isConnected, 'the rated game\'s card is redrawn');
+        assert(cards[1] === second, 'the other card is kept');
+        assertInert(cards[0]);
+    } finally {
+        grid.remove();
+    }
+});
+
+test('error messages show markup as plain text', () => {
+    const grid = document.createElement('div');
+    grid.id = 'games-grid';
+    document.getElementById('sandbox').appendChild(grid);
+    try {
+        createTracker().showError(`Could not load ${HANDLER_THEME}`);
+        assertInert(grid);
+        assertEqual(grid.querySelector('p').textContent, `Could not load ${HANDLER_THEME}`, 'message');
+    } finally {
+        grid.remove();
+    }
+});
+
+// Report
+
+const failed = results.filter(result => !result.passed);
+document.getElementById('summary').textContent =
+    `${results.length - failed.length} of ${results.length} tests passed`;
+document.getElementById('summary').className = failed.length > 0 ? 'fail' : 'pass';
+document.getElementById('results').append(...results.map(result => {
+    const item = document.createElement('li');
+    item.className = result.passed ? 'pass' : 'fail';
+    item.textContent = result.passed ? result.name : `${result.name} - ${result.message}`;
+    return item;
+}));